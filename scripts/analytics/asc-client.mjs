@@ -0,0 +1,253 @@
+// グロース分析ハーネス — App Store Connect API クライアント共通部 (依存ゼロ / Node 標準モジュールのみ)
+//
+// pull-appstore.mjs / pull-analytics.mjs が各自コピーしていた資格情報の解決・JWT 署名・GET/POST を 1 か所にまとめたもの。
+// 3 アプリ (Gymnee / BodyLapse / nihongo) の各リポにはこのファイルごとコピーし、下の「対象アプリ」定数だけ差し替える
+// (収集スクリプト側にはリポ固有の値を置かない = コピー間でロジックがずれない)。
+//
+//   - 資格情報: env → ~/.config/growth/asc.env → 各リポ secrets/.env の順で解決 (replay 中はダミー鍵)。
+//   - JWT (ES256, Node 標準 crypto で自己署名) は有効期限 20 分の手前 (残り 2 分) まで使い回す。
+//   - 429 / 5xx / ネットワークエラーは指数バックオフで再試行 (Retry-After があれば従う)。
+//     429 の待ちはクライアント全体で共有する (並列の他のリクエストも同じだけ止まる)。
+//   - 応答の X-Rate-Limit (user-hour-lim / user-hour-rem) を覚え、残りが少なくなったら 1 時間の上限に収まる間隔まで送出を絞る。
+//   - runPool: 同時実行数を抑えた並列実行 (結果は入力順。pull-appstore の日次レポート取得が使う)。
+//   - 401/403 は fetchSalesForDate と同じ { status, systemic: true, detail } 形に写像する (systemicError)。
+//   - ページネーションは links.next を辿る (getAll)。
+import { readFileSync, existsSync } from 'node:fs';
+import { createPrivateKey, sign as cryptoSign } from 'node:crypto';
+import { homedir } from 'node:os';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { httpFetch, isOffline, readManifest, writeManifest, replayPrivateKeyPem } from './http-replay.mjs';
+
+// ================= 対象アプリ (このリポのコピー固有 — 他リポでここだけ差し替える) =================
+export const APP_LABEL = 'BodyLapse';
+export const DEFAULT_BUNDLE_ID = 'com.J.BodyLapse';
+export const DEFAULT_APP_ID = '6747956750'; // bundleId ルックアップ失敗時のフォールバック用 (通常は live ルックアップを優先)
+// ============================================================================================
+
+export const ASC_BASE = 'https://api.appstoreconnect.apple.com';
+const ASC_AUD = 'appstoreconnect-v1';
+const JWT_TTL_S = 20 * 60;       // Apple の上限 20 分
+const JWT_REFRESH_MARGIN_S = 120; // 失効 2 分前に作り直す (長いループの途中で切れないように)
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+// 1 時間あたりの残りがこの割合を切ったら、上限 / 時間 の等間隔に送出を絞る (他のスクリプトや同じキーの利用者の分を残す)。
+const RATE_LIMIT_RESERVE_RATIO = 0.05;
+
+// ---- 資格情報の読み込み (env → ~/.config/growth/asc.env → 各リポ secrets/.env の順で解決) ----
+// 共有growth設定を先にするのは、リポsecretsのASCキーがTestFlight用ロールで売上APIを引けないため
+export function parseEnvFile(path) {
+    const kv = {};
+    if (!existsSync(path)) return kv;
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+        if (line.trim().startsWith('#')) continue;
+        const m = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (m) kv[m[1]] = m[2].replace(/^["']|["']$/g, '');
+    }
+    return kv;
+}
+export function expandHome(p) {
+    return p && p.startsWith('~') ? resolve(homedir(), p.slice(2)) : p;
+}
+export function loadCreds() {
+    // replay 中は資格情報を読まない (記録時の vendor number + ダミー鍵で同じ URL を組み立てる)。
+    if (isOffline()) {
+        return { keyId: 'REPLAY', issuerId: 'REPLAY', vendorNumber: readManifest().ascVendorNumber, privateKeyPem: replayPrivateKeyPem() };
+    }
+    const scriptDir = dirname(fileURLToPath(import.meta.url));
+    const repoSecrets = parseEnvFile(resolve(scriptDir, '../../secrets/.env'));
+    const shared = parseEnvFile(resolve(homedir(), '.config/growth/asc.env'));
+    const pick = (k) => process.env[k] ?? shared[k] ?? repoSecrets[k];
+    const keyId = pick('ASC_KEY_ID');
+    const issuerId = pick('ASC_ISSUER_ID');
+    const vendorNumber = pick('ASC_VENDOR_NUMBER');
+    const keyPath = expandHome(pick('ASC_KEY_PATH') ?? `~/.appstoreconnect/private_keys/AuthKey_${keyId}.p8`);
+    if (!keyId || !issuerId) {
+        throw new Error('ASC_KEY_ID / ASC_ISSUER_ID 未設定 (env / secrets/.env / ~/.config/growth/asc.env のいずれかに置く)');
+    }
+    if (!existsSync(keyPath)) throw new Error(`ASC 秘密鍵 (.p8) が見つからない: ${keyPath}`);
+    writeManifest({ ascVendorNumber: vendorNumber });
+    return { keyId, issuerId, vendorNumber, privateKeyPem: readFileSync(keyPath, 'utf8') };
+}
+
+// ---- JWT (ES256) を Node 標準 crypto で自己署名 (jose 等の依存を持たない) ----
+function b64url(input) {
+    return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function makeJwt(creds, nowS) {
+    const header = { alg: 'ES256', kid: creds.keyId, typ: 'JWT' };
+    const payload = { iss: creds.issuerId, iat: nowS, exp: nowS + JWT_TTL_S, aud: ASC_AUD };
+    const signingInput = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(payload))}`;
+    const key = createPrivateKey(creds.privateKeyPem);
+    // ES256 は R||S の生連結 (JOSE 形式) が必要。DER ではなく ieee-p1363 を指定する。
+    const sig = cryptoSign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+    return `${signingInput}.${b64url(sig)}`;
+}
+
+// ---- エラー詳細の抽出 (ASC の errors[0] → 無ければ本文の先頭) ----
+export async function errDetail(res) {
+    try {
+        const j = await res.clone().json();
+        const e = j.errors?.[0];
+        return e ? `${e.title ?? ''}: ${e.detail ?? ''}`.trim().replace(/^: /, '') : JSON.stringify(j).slice(0, 200);
+    } catch {
+        try { return (await res.text()).slice(0, 200); } catch { return ''; }
+    }
+}
+
+// ---- 401/403 = キーのロール不足など「全リクエスト共通で起きる systemic なエラー」。それ以外は null ----
+export async function systemicError(res) {
+    if (res.status !== 401 && res.status !== 403) return null;
+    let detail = '';
+    try { detail = ((await res.clone().json()).errors?.[0]?.detail) ?? ''; } catch { /* ignore */ }
+    return { status: res.status, systemic: true, detail };
+}
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+function backoffMs(res, attempt) {
+    const retryAfter = Number(res?.headers?.get('retry-after'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+    return BASE_BACKOFF_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+function sleep(ms) {
+    // replay は記録済み応答を返すだけなので待たない。
+    return isOffline() ? Promise.resolve() : new Promise((r) => setTimeout(r, ms));
+}
+
+// ---- X-Rate-Limit: "user-hour-lim:3500;user-hour-rem:3499;" → { limit, remaining }。無ければ null ----
+export function parseRateLimit(header) {
+    if (!header) return null;
+    const kv = Object.fromEntries(header.split(';').map((p) => p.split(':').map((x) => x.trim())).filter((p) => p.length === 2));
+    const limit = Number(kv['user-hour-lim']), remaining = Number(kv['user-hour-rem']);
+    return Number.isFinite(limit) && Number.isFinite(remaining) ? { limit, remaining } : null;
+}
+
+// ---- items を同時 concurrency 本までで fn(item, index) に通す。結果は入力順の配列 (完了順に依らず決定的) ----
+export async function runPool(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+    return results;
+}
+
+// ---- クライアント本体 ----
+export function createAscClient(creds, opts = {}) {
+    const maxRetries = opts.maxRetries ?? MAX_RETRIES;
+    let jwt = null, jwtExp = 0;
+    // 送出ゲート (全リクエスト共有): 429 の待ち明け時刻と、残り僅少時の次の送出可能時刻。
+    let pausedUntil = 0, nextSlot = 0;
+    let rate = null; // 直近の X-Rate-Limit
+    const stats = { requests: 0, throttledMs: 0, rateLimited: 0 };
+
+    async function gate() {
+        if (isOffline()) return;
+        let now = Date.now();
+        if (rate && rate.limit > 0 && rate.remaining <= rate.limit * RATE_LIMIT_RESERVE_RATIO) {
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + Math.ceil(3600 * 1000 / rate.limit);
+            if (slot > now) { stats.throttledMs += slot - now; await sleep(slot - now); }
+        }
+        now = Date.now();
+        if (pausedUntil > now) { stats.throttledMs += pausedUntil - now; await sleep(pausedUntil - now); }
+    }
+
+    function token() {
+        const nowS = Math.floor(Date.now() / 1000);
+        if (!jwt || nowS >= jwtExp - JWT_REFRESH_MARGIN_S) {
+            jwt = makeJwt(creds, nowS);
+            jwtExp = nowS + JWT_TTL_S;
+        }
+        return jwt;
+    }
+
+    // path は '/v1/...' か links.next の絶対 URL。429/5xx/ネットワークエラーは再試行し、最後の応答 (or 例外) を返す。
+    async function request(path, { method = 'GET', accept, body } = {}) {
+        const url = path.startsWith('http') ? path : `${ASC_BASE}${path}`;
+        for (let attempt = 0; ; attempt++) {
+            await gate();
+            stats.requests++;
+            const headers = { Authorization: `Bearer ${token()}` };
+            if (accept) headers.Accept = accept;
+            if (body !== undefined) headers['Content-Type'] = 'application/json';
+            let res;
+            try {
+                res = await httpFetch(url, { method, headers, ...(body !== undefined ? { body: JSON.stringify(body) } : {}) });
+            } catch (err) {
+                if (attempt >= maxRetries || isOffline()) throw err;
+                await sleep(backoffMs(null, attempt));
+                continue;
+            }
+            rate = parseRateLimit(res.headers?.get('x-rate-limit')) ?? rate;
+            if (!isRetryable(res.status) || attempt >= maxRetries) return res;
+            const wait = backoffMs(res, attempt);
+            if (res.status === 429) {
+                // 上限超過はキー単位。並列の他のリクエストも含めて待つ。
+                stats.rateLimited++;
+                pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+            } else {
+                await sleep(wait);
+            }
+        }
+    }
+
+    // links.next を辿って data を連結。途中で失敗したらそこまでの data と status/detail を返す。
+    async function getAll(path, { maxPages = 20 } = {}) {
+        const data = [];
+        let url = path;
+        for (let page = 0; url && page < maxPages; page++) {
+            const res = await request(url);
+            const sys = await systemicError(res);
+            if (sys) return { ...sys, data };
+            if (!res.ok) return { status: res.status, detail: await errDetail(res), data };
+            const json = await res.json();
+            data.push(...(json.data ?? []));
+            url = json.links?.next ?? null;
+        }
+        return { status: 200, data };
+    }
+
+    return {
+        token,
+        request,
+        getAll,
+        rateLimit: () => rate,
+        stats: () => ({ ...stats, ...(rate ? { rateLimit: rate } : {}) }),
+        get: (path, accept) => request(path, { accept }),
+        post: (path, body) => request(path, { method: 'POST', body }),
+    };
+}
+
+function toApp(a) {
+    return { id: a.id, name: a.attributes?.name, bundleId: a.attributes?.bundleId, sku: a.attributes?.sku };
+}
+
+// ---- チーム配下の全アプリを列挙 (id/name/bundleId/sku) ----
+export async function listApps(client) {
+    const q = new URLSearchParams({ 'fields[apps]': 'name,bundleId,sku', limit: '200' });
+    const r = await client.getAll(`/v1/apps?${q}`);
+    if (r.status !== 200) throw new Error(`apps HTTP ${r.status}: ${r.detail ?? ''}`);
+    return r.data.map(toApp);
+}
+
+// ---- bundleId → アプリ (id/name/bundleId/sku)。失敗は null (呼び出し側でフォールバック app id を使う) ----
+export async function lookupApp(client, bundleId) {
+    try {
+        const q = new URLSearchParams({ 'filter[bundleId]': bundleId, 'fields[apps]': 'name,bundleId,sku' });
+        const res = await client.get(`/v1/apps?${q}`);
+        if (res.ok) {
+            const a = (await res.json()).data?.[0];
+            if (a) return toApp(a);
+        }
+    } catch { /* best-effort */ }
+    return null;
+}
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — 施策台帳 (analytics/campaigns.md) の解析・追記・前後比較 (依存ゼロ / Node 標準モジュールのみ)
+//
+// 台帳の「## 台帳」のパイプ表 (date | channel | detail | quantity | cost | area/target | notes) を読み、
+//   - `/campaign-log` が叩く追記 (--add): 列を検証してから表の末尾に 1 行足す (プレースホルダ行は消す)。
+//   - 前後比較レポート: 施策日の前 N 日 [date-N, date-1] と後 N 日 [date, date+N-1] で
+//     新規DL・有効サブスク (+ サブスクイベントの新規)・AdMob 推定収益を比べる。日別系列は trends.mjs と同じく
+//     全スナップショットを結合 (新しい方優先) したものを使う。
+//   - 前後の窓 [date-N, date+N-1] が他の施策と重なる施策には overlapsWith を付ける (同じ伸びを二重に手柄にしない)。
+//   - App Store の未確定日 (Sales の遅延未着など) は trends.mjs と同じく既定で数えない (daysAfter が減り note が付く)。
+//     --include-provisional で含める (含めた日数を provisionalDays に出す)。
+//   - ct= 帰属: 台帳の notes 等に書いた App Store キャンペーンリンクのトークンを App Analytics の ct 別集計に
+//     突き合わせる (buildAttribution → snapshot の attribution.byCampaign)。
+// 前後比較は相関の手掛かりで因果ではない (台帳冒頭の注意と同じ)。ct 別の数字だけがリンク経由の直接の帰属。
+//
+// 使い方:
+//   node scripts/analytics/campaigns.mjs [--days 7] [--dir analytics/snapshots] [--include-provisional]   # 前後比較レポート
+//   node scripts/analytics/campaigns.mjs --add --channel aso --detail "サブタイトル変更" [--date YYYY-MM-DD]
+//        [--quantity ..] [--cost ..] [--target ..] [--notes ..]                     # 検証して 1 行追記 (date 既定 = 今日 JST)
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { listSnapshots, loadSnapshot, SNAPSHOT_DIR } from './snapshot-store.mjs';
+import { joinDaySeries, poissonInterval } from './trends.mjs';
+import { zonedDate, addDays } from './report-window.mjs';
+
+export const CAMPAIGNS_MD = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/campaigns.md');
+export const COLUMNS = ['date', 'channel', 'detail', 'quantity', 'cost', 'area/target', 'notes'];
+export const CHANNELS = ['aso', 'price', 'social', 'referral', 'influencer', 'pr', 'community', 'ads', 'other'];
+
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((c) => c.trim());
+}
+
+// ---- 台帳の解析。返り値: { rows: [{ n, line, date, channel, ... }], invalid: [{ line, errors }], table: { headerLine, endLine, placeholderLine } } ----
+// 表は「| date | channel |」で始まるヘッダ行 (列の説明表と区別する) から、次の非表行の手前まで。日付が YYYY-MM-DD でない 1 行目はプレースホルダ扱い。
+export function parseCampaigns(markdown) {
+    const lines = markdown.split('\n');
+    const headerLine = lines.findIndex((l) => /^\|\s*date\s*\|\s*channel\s*\|/i.test(l));
+    const out = { rows: [], invalid: [], table: { headerLine, endLine: null, placeholderLine: null } };
+    if (headerLine < 0) return out;
+    let i = headerLine + 2; // ヘッダ + 区切り行
+    for (; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        const cells = splitRow(lines[i]);
+        const row = Object.fromEntries(COLUMNS.map((c, k) => [c === 'area/target' ? 'target' : c, cells[k] ?? '']));
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) && out.rows.length === 0 && cells.slice(1).every((c) => !c)) {
+            out.table.placeholderLine = i;
+            continue;
+        }
+        const errors = validateCampaign(row);
+        if (errors.length) out.invalid.push({ line: i + 1, errors });
+        else out.rows.push({ n: out.rows.length + 1, line: i + 1, ...row });
+    }
+    out.table.endLine = i - 1;
+    return out;
+}
+
+// ---- 1 行の検証。エラー文の配列 (空なら OK) ----
+export function validateCampaign(row) {
+    const errors = [];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date ?? '') || Number.isNaN(Date.parse(row.date)) ||
+        new Date(Date.parse(row.date)).toISOString().slice(0, 10) !== row.date) {
+        errors.push(`date「${row.date ?? ''}」が YYYY-MM-DD (JST) でない`);
+    }
+    if (!CHANNELS.includes(row.channel)) errors.push(`channel「${row.channel ?? ''}」は ${CHANNELS.join(' / ')} のいずれか`);
+    if (!(row.detail ?? '').trim()) errors.push('detail が空');
+    for (const [k, v] of Object.entries(row)) {
+        if (typeof v === 'string' && /[|\n]/.test(v)) errors.push(`${k} にパイプ/改行は使えない`);
+    }
+    return errors;
+}
+
+// ---- 検証済みの 1 行を表の末尾に足した Markdown を返す。検証エラーは例外 ----
+export function appendCampaign(markdown, row) {
+    const errors = validateCampaign(row);
+    if (errors.length) throw new Error(`台帳に追記できない: ${errors.join(' / ')}`);
+    const { table } = parseCampaigns(markdown);
+    if (table.headerLine < 0) throw new Error('campaigns.md に「| date | channel |」で始まる台帳の表が無い');
+    const lines = markdown.split('\n');
+    const cells = [row.date, row.channel, row.detail, row.quantity, row.cost, row.target, row.notes].map((c) => (c ?? '').trim());
+    lines.splice(table.endLine + 1, 0, `| ${cells.join(' | ')} |`);
+    if (table.placeholderLine != null) lines.splice(table.placeholderLine, 1);
+    return lines.join('\n');
+}
+
+// ---- ct= 帰属 ----
+// 台帳の行に書かれた App Store キャンペーンリンクのトークン (`ct=x-beforeafter-0723`、主に notes 列)。
+export function campaignTokens(row) {
+    const text = [row.detail, row.notes, row.target].filter(Boolean).join(' ');
+    return [...new Set([...text.matchAll(/\bct=([A-Za-z0-9._~-]+)/g)].map((m) => m[1]))];
+}
+
+// App Analytics の ct 別集計 (appAnalytics.campaigns.byToken) を台帳の行に突き合わせて snapshot の attribution を作る。
+// 台帳に無いトークンは campaign:null のまま残し (記録漏れの検出)、データの無い台帳トークンは ledgerOnly に並べる。
+export function buildAttribution(appAnalytics, campaigns) {
+    const src = appAnalytics?.campaigns;
+    if (!appAnalytics?.configured || appAnalytics.pending || !src?.available) {
+        return { available: false, note: src?.note ?? 'App Analytics が未取得 (ct 別の集計には Detailed レポートが必要)' };
+    }
+    const owner = {};
+    for (const c of campaigns) for (const t of campaignTokens(c)) owner[t] ??= c;
+    const byCampaign = {};
+    for (const [token, v] of Object.entries(src.byToken).sort((a, b) => b[1].firstDownloads - a[1].firstDownloads)) {
+        const c = owner[token];
+        byCampaign[token] = {
+            campaign: c ? { n: c.n, date: c.date, channel: c.channel, detail: c.detail } : null,
+            impressions: v.impressions,
+            pageViews: v.pageViews,
+            firstDownloads: v.firstDownloads,
+            pageViewToDownload: v.pageViews > 0 ? Math.round((v.firstDownloads / v.pageViews) * 1000) / 1000 : null,
+            bySourceType: v.bySourceType,
+        };
+    }
+    const ledgerOnly = Object.keys(owner).filter((t) => !byCampaign[t]);
+    return {
+        available: true,
+        basis: 'appAnalytics.campaigns (Detailed レポートの Campaign 列) × analytics/campaigns.md の ct=',
+        byCampaign,
+        ...(ledgerOnly.length ? { ledgerOnly } : {}),
+    };
+}
+
+// ---- 前後比較 ----
+function sumRange(series, field, from, to) {
+    let sum = 0, days = 0, provisional = 0;
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+        const v = series?.[d]?.row?.[field];
+        if (typeof v === 'number') { sum += v; days++; if (series[d].provisional) provisional++; }
+    }
+    return { sum: Math.round(sum * 100) / 100, days, provisional };
+}
+function levelAt(series, field, day, direction) {
+    // その日に値が無ければ、direction 方向 (-1 = 過去 / +1 = 未来) に最大 3 日探す。
+    for (let k = 0; k <= 3; k++) {
+        const v = series?.[addDays(day, direction * k)]?.row?.[field];
+        if (typeof v === 'number') return v;
+    }
+    return null;
+}
+
+function compareCounts(series, field, date, n, { poisson = false } = {}) {
+    const before = sumRange(series, field, addDays(date, -n), addDays(date, -1));
+    const after = sumRange(series, field, date, addDays(date, n - 1));
+    const out = { before: before.sum, after: after.sum, abs: Math.round((after.sum - before.sum) * 100) / 100, daysBefore: before.days, daysAfter: after.days };
+    if (before.days < n || after.days < n) out.note = `データのある日が前 ${before.days} / 後 ${after.days} 日 (窓 ${n} 日)`;
+    if (before.provisional + after.provisional) out.provisionalDays = before.provisional + after.provisional;
+    if (poisson && before.days === n && after.days === n) {
+        const [lo, hi] = poissonInterval(before.sum);
+        out.interval = [lo, hi];
+        out.significant = after.sum < lo || after.sum > hi;
+    }
+    return out;
+}
+
+export function campaignReport(campaigns, snapshots, { days = 7, includeProvisional = false } = {}) {
+    const joined = joinDaySeries(snapshots, { includeProvisional });
+    const dl = joined['appstore.downloads.byDayJst'];
+    const subs = joined['appstore.subscriptions.byDayJst'];
+    const events = joined['appstore.subscriptionEvents.byDayJst'];
+    const ad = joined['admob.byDayJst'];
+
+    const spans = campaigns.map((c) => ({ n: c.n, from: addDays(c.date, -days), to: addDays(c.date, days - 1) }));
+    return campaigns.map((c, idx) => {
+        const span = spans[idx];
+        const overlapsWith = spans.filter((s) => s.n !== c.n && s.from <= span.to && span.from <= s.to).map((s) => s.n);
+        const subStart = levelAt(subs, 'activeSubscriptions', addDays(c.date, -1), -1);
+        const subEnd = levelAt(subs, 'activeSubscriptions', addDays(c.date, days - 1), -1);
+        return {
+            n: c.n, date: c.date, channel: c.channel, detail: c.detail,
+            window: { days, before: [span.from, addDays(c.date, -1)], after: [c.date, span.to] },
+            firstDownloads: compareCounts(dl, 'firstDownloads', c.date, days, { poisson: true }),
+            activeSubscriptions: { before: subStart, after: subEnd, abs: subStart != null && subEnd != null ? subEnd - subStart : null },
+            ...(events ? { subscriptionStarts: compareCounts(events, 'start', c.date, days, { poisson: true }) } : {}),
+            adEarnings: compareCounts(ad, 'estimatedEarnings', c.date, days),
+            ...(overlapsWith.length ? { overlapsWith } : {}),
+        };
+    });
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { days: 7, dir: SNAPSHOT_DIR, add: false, includeProvisional: false, row: {} };
+    const keys = { '--date': 'date', '--channel': 'channel', '--detail': 'detail', '--quantity': 'quantity', '--cost': 'cost', '--target': 'target', '--notes': 'notes' };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--add') args.add = true;
+        else if (a === '--days') args.days = Number(argv[++i]) || args.days;
+        else if (a === '--dir') args.dir = resolve(argv[++i]);
+        else if (a === '--include-provisional') args.includeProvisional = true;
+        else if (keys[a]) args.row[keys[a]] = argv[++i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const markdown = readFileSync(CAMPAIGNS_MD, 'utf8');
+    if (args.add) {
+        const row = { date: zonedDate(Date.now()), ...args.row }; // 既定 = 今日 (報告タイムゾーン、既定 JST)
+        writeFileSync(CAMPAIGNS_MD, appendCampaign(markdown, row));
+        process.stderr.write(`campaigns.md に追記: ${row.date} ${row.channel} ${row.detail}\n`);
+        process.stdout.write(JSON.stringify(row, null, 2) + '\n');
+        return;
+    }
+
+    const parsed = parseCampaigns(markdown);
+    const snapshots = listSnapshots(args.dir).map((r) => loadSnapshot(r.path));
+    const report = campaignReport(parsed.rows, snapshots, { days: args.days, includeProvisional: args.includeProvisional });
+    const lines = [`施策台帳: ${parsed.rows.length} 件 (前後 ${args.days} 日比較, スナップショット ${snapshots.length} 本)`];
+    for (const r of report) {
+        const f = r.firstDownloads;
+        lines.push(
+            `  #${r.n} ${r.date} [${r.channel}] ${r.detail}: 新規DL ${f.before}→${f.after}${f.significant ? ' *有意*' : ''}` +
+            ` / 有効サブスク ${r.activeSubscriptions.before ?? '—'}→${r.activeSubscriptions.after ?? '—'}` +
+            ` / 広告収益 ${r.adEarnings.before}→${r.adEarnings.after}` +
+            (r.overlapsWith ? ` ⚠ 窓が #${r.overlapsWith.join(', #')} と重なる` : '') +
+            (f.note ? ` (${f.note})` : ''),
+        );
+    }
+    for (const bad of parsed.invalid) lines.push(`  ⚠ campaigns.md ${bad.line} 行目: ${bad.errors.join(' / ')}`);
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify({ days: args.days, campaigns: report, invalid: parsed.invalid }, null, 2) + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
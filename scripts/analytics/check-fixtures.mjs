@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — 集計ロジックの回帰確認 (依存ゼロ / Node 標準モジュールのみ)
+//
+// 資格情報もネットワークも要らない決定論チェック。scripts/analytics/fixtures/*.json (合成値の小さな入力 + 期待値) を
+// 各スクリプトが export している純関数に通し、期待値と食い違えば失敗にする。集計ロジックを変えたら実行する。
+// 入力は fixtures/inputs/ の合成レポート (Sales / Subscription / Subscription Event の gzip を解いた TSV、App Analytics の segment TSV、
+// AdMob の networkReport / mediationReport の JSON ストリーム)。ケースは `input` でファイル名を指す。期待値の比較はキー順を問わない。
+//   - kind: appstore-sales — pull-appstore.mjs parseSalesTsv。対象アプリの行だけ数え、SKU 一致のサブスク/IAP 行は subscription* に別建て。
+//   - kind: appstore-subscription / appstore-subscription-event — parseSubscriptionTsv / parseSubscriptionEventTsv。
+//   - kind: analytics-report — pull-analytics.mjs parseReportRows (旧 sumColumn の後継。日別・合計・ディメンション別)。
+//   - kind: analytics-retention — parseRetentionCohorts (DL 日コホートの継続率)。
+//   - kind: admob-network / admob-breakdown — pull-admob.mjs parseNetworkReportRows / parseBreakdownRows。
+//   - kind: analytics-merge — pull-analytics.mjs mergeInstanceRows。DAILY / WEEKLY / MONTHLY の重なりを二重に数えないこと、
+//     窓をはみ出す粗い期間を採らず gaps に残すこと。採った粗い行が parseReportRows の byDay に混ざらず byPeriod に入ること。
+//   - kind: retention — run-weekly.mjs planRetention。日・週ごとに成功した最後の 1 本を残し、全ソース失敗のものが押しのけないこと。
+// --replay <dir> は http-replay.mjs で記録したディレクトリ (snapshot.mjs --record) を再生し、3 収集 (= 各パーサ) の結果の数値リーフを
+// <dir>/_expected.json の基準値と突き合わせる。記録には vendor 全アプリの集計値が入るのでリポには置かず、手元の記録に対して回す
+// (clone 直後や CI で回るのは上の合成ケースだけ。パーサごとの回帰はそちらで押さえ、--replay は実データの形の変化を見る補助)。
+//   - 窓は記録時の manifest の window (無ければ記録時刻基準の直近 30 日 = snapshot.mjs の既定)。
+//   - 基準値は --update で今の結果から作る / 作り直す (パーサの変更で値が変わるのが正しいときだけ)。
+//
+// 使い方:
+//   node scripts/analytics/check-fixtures.mjs [fixtures/<name>.json ...]   # 引数なし = fixtures/ の全部
+//   node scripts/analytics/check-fixtures.mjs --replay <dir> [--update]
+//
+// 標準出力はケースごとの結果 JSON、標準エラーは要約。1 件でも食い違えば (基準値が無いときも) 終了コード 1。
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
+import { resolve, dirname, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mergeInstanceRows, parseReportRows, parseRetentionCohorts, REPORT_SPECS } from './pull-analytics.mjs';
+import { parseSalesTsv, parseSubscriptionTsv, parseSubscriptionEventTsv } from './pull-appstore.mjs';
+import { parseNetworkReportRows, parseBreakdownRows } from './pull-admob.mjs';
+import { planRetention } from './run-weekly.mjs';
+import { configureHttp, readManifest } from './http-replay.mjs';
+import { COLLECTORS } from './snapshot.mjs';
+import { flattenNumeric } from './compare-snapshots.mjs';
+import { resolveWindow } from './report-window.mjs';
+
+export const FIXTURE_DIR = resolve(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const EXPECTED = '_expected.json';
+
+// ---- 期待値との突き合わせ。食い違った項目を [{ key, expected, actual }] で返す ----
+// オブジェクトのキー順は問わない (パーサの出力順は収益順などで変わりうるが、値が同じなら同じ結果)。配列の順は問う。
+function canonical(v) {
+    if (Array.isArray(v)) return v.map(canonical);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().map((k) => [k, canonical(v[k])]));
+    return v;
+}
+function mismatches(expect, actual) {
+    return Object.keys(expect)
+        .filter((k) => JSON.stringify(canonical(expect[k])) !== JSON.stringify(canonical(actual[k])))
+        .map((k) => ({ key: k, expected: expect[k], actual: actual[k] ?? null }));
+}
+
+// ---- fixtures/inputs/ の入力。TSV は header + rows (pull-analytics の segment と同じ分け方)、JSON はそのまま ----
+const readInput = (name) => readFileSync(resolve(FIXTURE_DIR, 'inputs', name), 'utf8');
+function readTsvRows(name) {
+    const lines = readInput(name).split('\n').filter((l) => l.trim().length > 0);
+    return { header: lines[0].split('\t'), rows: lines.slice(1).map((l) => l.split('\t')) };
+}
+const reportSpec = (key) => REPORT_SPECS.find((s) => s.key === key);
+
+// ---- kind ごとのチェッカ: ケース → 比較する実測値 ----
+const CHECKERS = {
+    'analytics-merge': (c) => {
+        const { rows, periods, rowsDeduped, gaps } = mergeInstanceRows(c.instances, c.window);
+        // 合計は Counts 列 (どの instance も同じヘッダ構成の前提。fixture 側で揃える)
+        const header = c.instances.find((i) => i.header)?.header ?? [];
+        const iCounts = header.indexOf('Counts');
+        const parsed = parseReportRows({ values: { counts: ['Counts'] } }, header, rows, periods);
+        return {
+            total: rows.reduce((s, cols) => s + Number(cols[iCounts] ?? 0), 0),
+            rows: rows.length,
+            rowsDeduped,
+            gapDays: [...new Set(gaps.flatMap((g) => g.missingDays))].sort(),
+            byDay: parsed?.byDay ?? [],
+            byPeriod: parsed?.byPeriod ?? [],
+        };
+    },
+    'appstore-sales': (c) => parseSalesTsv(readInput(c.input), c.appId, c.parentSku),
+    'appstore-subscription': (c) => parseSubscriptionTsv(readInput(c.input), c.appId),
+    'appstore-subscription-event': (c) => parseSubscriptionEventTsv(readInput(c.input), c.appId),
+    'analytics-report': (c) => {
+        const { header, rows } = readTsvRows(c.input);
+        return parseReportRows(reportSpec(c.report), header, rows, c.periods ?? []) ?? {};
+    },
+    'analytics-retention': (c) => {
+        const { header, rows } = readTsvRows(c.input);
+        return parseRetentionCohorts(header, rows, c.periods ?? []) ?? {};
+    },
+    'admob-network': (c) => parseNetworkReportRows(JSON.parse(readInput(c.input))),
+    'admob-breakdown': (c) => ({ breakdown: parseBreakdownRows(JSON.parse(readInput(c.input)), c.dimension) }),
+    retention: (c) => {
+        // refs は listSnapshots と同じ形 (古い順) に。path はファイル名の代わりに stamp で足りる。
+        const refs = c.snapshots.map((s) => ({ path: s.stamp, stamp: s.stamp, jstDate: s.stamp.slice(0, 10), ok: s.ok }));
+        return { pruned: planRetention(refs, Date.parse(c.now), c.dailyDays, c.timeZone).map((r) => r.stamp) };
+    },
+};
+
+export function checkFixture(path) {
+    const fx = JSON.parse(readFileSync(path, 'utf8'));
+    const checker = CHECKERS[fx.kind];
+    if (!checker) return [{ fixture: basename(path), error: `未知の kind: ${fx.kind}` }];
+    return fx.cases.map((c) => {
+        const diff = mismatches(c.expect, checker(c));
+        return { fixture: basename(path), name: c.name, ok: diff.length === 0, ...(diff.length ? { diff } : {}) };
+    });
+}
+
+// ---- 記録の再生: 3 収集の結果を { values: 数値リーフ, errors: 取れなかった理由 } に ----
+// replay はプロセス全体の HTTP 設定を切り替えるので、1 プロセス 1 ディレクトリ。
+export async function replayRecording(dir) {
+    configureHttp({ mode: 'replay', dir });
+    const window = readManifest().window ?? resolveWindow({ days: 30 });
+    const sections = {
+        appstore: await COLLECTORS.appstore({ window }),
+        appAnalytics: await COLLECTORS.appAnalytics({ window }),
+        admob: await COLLECTORS.admob({ window }),
+    };
+    const errors = {};
+    for (const [k, v] of Object.entries(sections)) if (!v.configured) errors[k] = v.error ?? v.note ?? 'configured:false';
+    return { window: { from: window.from, to: window.to }, values: flattenNumeric(sections), errors };
+}
+
+export async function checkReplay(dir, { update = false } = {}) {
+    const actual = await replayRecording(dir);
+    const p = resolve(dir, EXPECTED);
+    const name = `replay ${dir}`;
+    if (update) {
+        writeFileSync(p, JSON.stringify(actual, null, 2) + '\n');
+        return [{ fixture: name, name: `基準値を書いた (${Object.keys(actual.values).length} 値)`, ok: true }];
+    }
+    if (!existsSync(p)) return [{ fixture: name, error: `${p} が無い (--update で今の結果から作る)` }];
+    const expected = JSON.parse(readFileSync(p, 'utf8'));
+    const paths = [...new Set([...Object.keys(expected.values), ...Object.keys(actual.values)])].sort();
+    const diff = [
+        ...mismatches({ window: expected.window, errors: expected.errors }, actual),
+        ...paths.filter((k) => expected.values[k] !== actual.values[k])
+            .map((k) => ({ key: k, expected: expected.values[k] ?? null, actual: actual.values[k] ?? null })),
+    ];
+    return [{ fixture: name, name: `収集結果 ${paths.length} 値`, ok: diff.length === 0, ...(diff.length ? { diff } : {}) }];
+}
+
+function parseArgs(argv) {
+    const args = { paths: [], replay: null, update: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--replay') args.replay = argv[++i];
+        else if (argv[i] === '--update') args.update = true;
+        else args.paths.push(resolve(argv[i]));
+    }
+    if (args.update && !args.replay) throw new Error('--update は --replay <dir> と一緒に使う');
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n`);
+        process.exit(2);
+    }
+    const paths = args.paths.length
+        ? args.paths
+        : args.replay ? [] : readdirSync(FIXTURE_DIR).filter((f) => f.endsWith('.json')).sort().map((f) => resolve(FIXTURE_DIR, f));
+    const results = paths.flatMap(checkFixture);
+    if (args.replay) results.push(...await checkReplay(resolve(args.replay), { update: args.update }));
+    const failed = results.filter((r) => !r.ok);
+    const lines = [`fixtures: ${results.length} ケース中 OK ${results.length - failed.length} / 失敗 ${failed.length}`];
+    for (const r of failed) {
+        lines.push(`  ✗ ${r.fixture} — ${r.name ?? r.error}`);
+        for (const d of (r.diff ?? []).slice(0, 20)) lines.push(`      ${d.key}: 期待 ${JSON.stringify(d.expected)} / 実際 ${JSON.stringify(d.actual)}`);
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    if (failed.length) process.exit(1);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — スナップショット 2 本の差分 (依存ゼロ / Node 標準モジュールのみ)
+//
+// /growth-measure で毎回 JSON を目視 diff していた作業を決定論化する。2 本のスナップショットの
+// **数値リーフすべて** (appstore.downloads.totals.* / appstore.subscriptions.latest / admob.totals.* 等) について
+// 絶対差と相対差を出す。
+//   - 引数はファイルパス、または JST 日付 (YYYY-MM-DD)。日付なら A は「その日以前の最新」、B は「その日以降の最初」。
+//   - byDayJst などの日別配列はリーフ比較に混ぜず、**重なった日だけ**で合計を突き合わせる (再集計による値のブレ検知)。
+//     窓が重ならない場合 (典型的な前後比較) はその旨を windows.note に明示する。
+//   - configured:false のソースは数値が欠けるだけで 0 扱いしない (差分は null、sources に理由を載せる)。
+//
+// 使い方:
+//   node scripts/analytics/compare-snapshots.mjs <A.json|YYYY-MM-DD> <B.json|YYYY-MM-DD> [--changed-only]
+//
+// 標準出力は差分 JSON、標準エラーは人間向けの表。
+import { loadSnapshot, resolveSnapshotRef, snapshotWindow, collectDaySeries } from './snapshot-store.mjs';
+
+const SOURCES = ['appstore', 'appAnalytics', 'admob'];
+// メタ情報 (比較しても意味が無い数値) はリーフ比較から外す。
+const SKIP_KEYS = new Set(['schema', 'windowDays', '_file', '_migratedFrom', '_reconciled']);
+
+// ---- 数値リーフを { 'a.b.c': number } に平坦化。配列 (日別系列など) は辿らない ----
+export function flattenNumeric(obj, prefix = '', out = {}) {
+    if (obj == null || typeof obj !== 'object' || Array.isArray(obj)) return out;
+    for (const [k, v] of Object.entries(obj)) {
+        if (!prefix && SKIP_KEYS.has(k)) continue;
+        const path = prefix ? `${prefix}.${k}` : k;
+        if (typeof v === 'number' && Number.isFinite(v)) out[path] = v;
+        else if (v && typeof v === 'object' && !Array.isArray(v)) flattenNumeric(v, path, out);
+    }
+    return out;
+}
+
+function round(n, digits = 2) {
+    const p = 10 ** digits;
+    return Math.round(n * p) / p;
+}
+
+export function delta(a, b) {
+    if (typeof a !== 'number' || typeof b !== 'number') return { abs: null, rel: null };
+    return { abs: round(b - a, 4), rel: a !== 0 ? round((b - a) / Math.abs(a), 4) : null };
+}
+
+function sourceStatus(snap, key) {
+    const s = snap[key];
+    if (!s) return { configured: false, reason: '(フィールド無し)' };
+    if (s.configured) return { configured: true };
+    return { configured: false, reason: s.error ?? s.note ?? 'configured:false' };
+}
+
+// ---- 窓の重なり。重なり 0 日なら前後比較、重なりありなら同一日の再集計差も意味を持つ ----
+function compareWindows(wa, wb) {
+    if (!wa || !wb) return { overlapping: null, overlapDays: null, note: '窓を算出できない (generatedAtUtc / windowDays 欠落)' };
+    const from = wa.from > wb.from ? wa.from : wb.from;
+    const to = wa.to < wb.to ? wa.to : wb.to;
+    const overlapDays = from <= to ? Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1 : 0;
+    const notes = [];
+    if (overlapDays === 0) notes.push('窓が重ならない (前後比較)。totals は別期間の値同士の差');
+    else notes.push(`窓が ${overlapDays} 日重なる。totals の差には重複期間ぶんが相殺されて含まれる`);
+    if (wa.days !== wb.days) notes.push(`窓長が異なる (${wa.days} 日 vs ${wb.days} 日)。totals は日数で割って読む`);
+    return { overlapping: overlapDays > 0, overlapDays, overlap: overlapDays ? { from, to } : null, note: notes.join(' / ') };
+}
+
+// ---- 日別系列は重なった日だけで各数値カラムを合計して突き合わせる ----
+function compareSeries(sa, sb) {
+    const out = [];
+    for (const path of [...new Set([...Object.keys(sa), ...Object.keys(sb)])].sort()) {
+        const ra = sa[path] ?? [];
+        const rb = sb[path] ?? [];
+        const daysB = new Set(rb.map((r) => r.day));
+        const shared = ra.filter((r) => daysB.has(r.day)).map((r) => r.day);
+        const entry = { path, daysA: ra.length, daysB: rb.length, sharedDays: shared.length };
+        if (shared.length) {
+            const sharedSet = new Set(shared);
+            const sumOf = (rows) => {
+                const acc = {};
+                for (const r of rows) {
+                    if (!sharedSet.has(r.day)) continue;
+                    for (const [k, v] of Object.entries(r)) if (typeof v === 'number') acc[k] = round((acc[k] ?? 0) + v, 4);
+                }
+                return acc;
+            };
+            const aSum = sumOf(ra), bSum = sumOf(rb);
+            entry.sharedRange = { from: shared[0], to: shared[shared.length - 1] };
+            entry.revisions = Object.keys({ ...aSum, ...bSum })
+                .filter((k) => aSum[k] !== bSum[k])
+                .map((k) => ({ field: k, a: aSum[k] ?? null, b: bSum[k] ?? null, ...delta(aSum[k], bSum[k]) }));
+        }
+        out.push(entry);
+    }
+    return out;
+}
+
+// ---- 2 本のスナップショット (読み込み済みオブジェクト) を比較 ----
+export function compareSnapshots(a, b, opts = {}) {
+    const wa = snapshotWindow(a);
+    const wb = snapshotWindow(b);
+    const fa = flattenNumeric(a);
+    const fb = flattenNumeric(b);
+    const sources = {};
+    for (const key of SOURCES) sources[key] = { a: sourceStatus(a, key), b: sourceStatus(b, key) };
+
+    const deltas = [];
+    for (const path of [...new Set([...Object.keys(fa), ...Object.keys(fb)])].sort()) {
+        const va = fa[path], vb = fb[path];
+        const row = { path, a: va ?? null, b: vb ?? null, ...delta(va, vb) };
+        if (va === undefined || vb === undefined) {
+            const src = path.split('.')[0];
+            const side = va === undefined ? 'a' : 'b';
+            const st = sources[src]?.[side];
+            row.note = st && !st.configured ? `${side.toUpperCase()} 側 ${src} 未取得 (${st.reason})` : `${side.toUpperCase()} 側にフィールド無し`;
+        }
+        if (opts.changedOnly && row.abs === 0) continue;
+        deltas.push(row);
+    }
+
+    return {
+        a: { file: a._file ?? null, generatedAtUtc: a.generatedAtUtc, window: wa },
+        b: { file: b._file ?? null, generatedAtUtc: b.generatedAtUtc, window: wb },
+        windows: compareWindows(wa, wb),
+        sources,
+        deltas,
+        series: compareSeries(collectDaySeries(a), collectDaySeries(b)),
+    };
+}
+
+// ---- パス or 日付の組から比較 (CLI / 他スクリプト共用) ----
+export function compareSnapshotRefs(refA, refB, opts = {}) {
+    const a = loadSnapshot(resolveSnapshotRef(refA, { prefer: 'before' }));
+    const b = loadSnapshot(resolveSnapshotRef(refB, { prefer: 'after' }));
+    return compareSnapshots(a, b, opts);
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { refs: [], changedOnly: false };
+    for (const a of argv) {
+        if (a === '--changed-only') args.changedOnly = true;
+        else args.refs.push(a);
+    }
+    return args;
+}
+
+function fmt(v) {
+    return v == null ? '—' : String(v);
+}
+
+function fmtRel(rel) {
+    return rel == null ? '' : ` (${rel >= 0 ? '+' : ''}${round(rel * 100, 1)}%)`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.refs.length !== 2) {
+        process.stderr.write('使い方: node scripts/analytics/compare-snapshots.mjs <A.json|YYYY-MM-DD> <B.json|YYYY-MM-DD> [--changed-only]\n');
+        process.exit(2);
+    }
+    const cmp = compareSnapshotRefs(args.refs[0], args.refs[1], { changedOnly: args.changedOnly });
+    const lines = [
+        `A: ${cmp.a.file} (${cmp.a.window ? `${cmp.a.window.from}〜${cmp.a.window.to}` : '窓不明'})`,
+        `B: ${cmp.b.file} (${cmp.b.window ? `${cmp.b.window.from}〜${cmp.b.window.to}` : '窓不明'})`,
+        `窓: ${cmp.windows.note}`,
+    ];
+    for (const [src, st] of Object.entries(cmp.sources)) {
+        if (!st.a.configured || !st.b.configured) {
+            lines.push(`  ${src}: A=${st.a.configured ? 'OK' : '未取得'} / B=${st.b.configured ? 'OK' : '未取得'}`);
+        }
+    }
+    for (const d of cmp.deltas) {
+        const change = d.abs == null ? (d.note ?? '') : `${d.abs >= 0 ? '+' : ''}${d.abs}${fmtRel(d.rel)}`;
+        lines.push(`  ${d.path}: ${fmt(d.a)} → ${fmt(d.b)}  ${change}`);
+    }
+    for (const s of cmp.series) {
+        if (s.revisions?.length) {
+            lines.push(`  ${s.path}: 重複 ${s.sharedDays} 日で再集計差 ${s.revisions.map((r) => `${r.field} ${fmt(r.a)}→${fmt(r.b)}`).join(', ')}`);
+        }
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify(cmp, null, 2) + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
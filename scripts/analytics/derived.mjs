@@ -0,0 +1,175 @@
+// グロース分析ハーネス — 派生指標パス (依存ゼロ / Node 標準モジュールのみ)
+//
+// snapshot.mjs が 3 ソースを集め終えた後に 1 回だけ走り、ソースをまたぐ指標を snapshot.derived に書く。
+// KPI ツリーが「広告 × Premium のトレードオフ」と呼ぶ両側を 1 つの通貨・1 つの数字で見られるようにするのが目的で、
+// experiments.md のガードレールに `derived.*` をそのまま書ける (adForgonePerPremiumMonthly 以外は「高いほど良い」向き)。
+//
+//   derived.revenueByDayJst   日別の総収益 = AdMob 推定収益 + Sales の proceeds。報告通貨。proceeds = アプリ本体の proceedsByCurrency と
+//                             サブスク/IAP の subscriptionProceedsByCurrency の和 (後者だけの額は subscriptionProceeds に内訳として残す)
+//   derived.totals            窓合計 (adEarnings / proceeds / subscriptionProceeds / total)。日別の和ではなく、revenue と同じ通貨別の窓合計を
+//                             同じ関数 (fx.mjs の convertAll) で換算したもの。レートがあれば total は revenue.total と一致する
+//   derived.fx                換算の基準日 (asOf) と、通貨ごとに使ったレートとレート日 (レートファイルがあるときだけ)
+//   derived.perDownload       新規DL 1 件あたりの総収益・広告収益・proceeds (ARPDAU の代理。DAU がサーバに無いため)
+//   derived.arpdau            App Analytics が有効なら 1 日あたり総収益 / 平均日次端末数。無ければ null。端末数は Unique Devices の行合計で、
+//                             セグメント (流入元・国・バージョン) をまたいだ重複を含む上限なので、ARPDAU は下限寄り (arpdauBasis に明記)
+//   derived.premium           Premium 1 人あたりの月額 proceeds と、その人が無料のままなら出していたはずの広告収益 (逸失) の推定、
+//                             および差し引き (netGainMonthly)。逸失の母数は App Analytics の端末数 (上限)、無ければ新規DL で近似 (basis に明記)
+//
+// 通貨: revenue と同じく、日別の値も含めてすべて窓の最終日 (asOf) を基準日に fx.mjs の convert で報告通貨に寄せる。
+// レートファイルが無い場合は、入力がすべて同一通貨のときだけ換算なしで計算し、混在していれば available:false。
+import { convert, convertAll } from './fx.mjs';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const ratio = (a, b) => (b > 0 ? round2(a / b) : null);
+
+// 報告通貨と換算関数を決める。決められなければ null。
+//   toReporting(金額, 通貨) → 数値 | null、totalOf({ 通貨: 金額 }) → 報告通貨の合計 (換算できない通貨は入れない)。
+// レートがあるときは使ったレートを rates に通貨ごとに残す (基準日が 1 つなので同じ通貨の金額はすべて同じレート)。
+function currencyContext(currencies, fx, asOf) {
+    if (fx) {
+        const rates = {};
+        const note = (c) => {
+            if (c.source.currency !== fx.reportingCurrency) rates[c.source.currency] = { rate: c.rate, rateDate: c.rateDate };
+        };
+        return {
+            currency: fx.reportingCurrency,
+            rates,
+            toReporting: (amount, ccy) => {
+                const c = convert(fx, amount, ccy, asOf);
+                if (c) note(c);
+                return c ? c.amount : null;
+            },
+            totalOf: (byCurrency) => {
+                const all = convertAll(fx, byCurrency, asOf);
+                all.items.forEach(note);
+                return all.total;
+            },
+        };
+    }
+    const uniq = [...new Set(currencies)];
+    if (uniq.length > 1) return null;
+    return {
+        currency: uniq[0] ?? null,
+        toReporting: (amount) => amount,
+        totalOf: (byCurrency) => round2(Object.values(byCurrency).reduce((s, v) => s + (v || 0), 0)),
+    };
+}
+
+// ---- snapshot (appstore / appAnalytics / admob) → derived セクション ----
+// asOf は換算の基準日。snapshot.mjs / reconcile.mjs は buildRevenue と同じ値 (窓の最終日) を渡す。
+export function deriveMetrics(snapshot, fx = null, asOf = snapshot.window?.to ?? null) {
+    const windowDays = snapshot.windowDays;
+    const salesDays = snapshot.appstore?.downloads?.byDayJst ?? [];
+    const admob = snapshot.admob?.configured ? snapshot.admob : null;
+    const adDays = admob?.byDayJst ?? [];
+
+    const currencies = [
+        ...salesDays.flatMap((d) => [...Object.keys(d.proceedsByCurrency ?? {}), ...Object.keys(d.subscriptionProceedsByCurrency ?? {})]),
+        ...(admob && adDays.length ? [admob.currency] : []),
+    ];
+    const ctx = currencyContext(currencies, fx, asOf);
+    if (!ctx) {
+        return {
+            available: false,
+            note: `通貨が混在 (${[...new Set(currencies)].join('/')}) で為替レートファイルが無い。analytics/fx-rates.json を置くと計算される`,
+        };
+    }
+
+    // 日別: 両ソースの日付の和集合。換算できなかった金額は入れず unconverted に数える。
+    const byDay = {};
+    let unconverted = 0;
+    const row = (day) => (byDay[day] ??= { day, adEarnings: 0, proceeds: 0, subscriptionProceeds: 0 });
+    for (const d of salesDays) {
+        for (const [ccy, amt] of Object.entries(d.proceedsByCurrency ?? {})) {
+            const v = ctx.toReporting(amt, ccy);
+            if (v == null) unconverted++;
+            else row(d.day).proceeds += v;
+        }
+        for (const [ccy, amt] of Object.entries(d.subscriptionProceedsByCurrency ?? {})) {
+            const v = ctx.toReporting(amt, ccy);
+            if (v == null) unconverted++;
+            else row(d.day).subscriptionProceeds += v;
+        }
+    }
+    for (const d of adDays) {
+        if (!d.day) continue;
+        const v = ctx.toReporting(d.estimatedEarnings, admob.currency);
+        if (v == null) unconverted++;
+        else row(d.day).adEarnings += v;
+    }
+    const revenueByDayJst = Object.keys(byDay).sort().map((day) => {
+        const r = byDay[day];
+        const proceeds = r.proceeds + r.subscriptionProceeds;
+        return { day, adEarnings: round2(r.adEarnings), proceeds: round2(proceeds), subscriptionProceeds: round2(r.subscriptionProceeds), total: round2(r.adEarnings + proceeds) };
+    });
+    // 窓合計: buildRevenue と同じ入力 (通貨別の窓合計) を同じ順で足す。日別の和とは端数が合わないことがある。
+    const downloads = snapshot.appstore?.downloads;
+    const appProceeds = ctx.totalOf(downloads?.proceedsByCurrency ?? {});
+    const subscriptionProceeds = ctx.totalOf(downloads?.subscriptionProceedsByCurrency ?? {});
+    const adEarnings = ctx.totalOf(admob?.totals ? { [admob.currency]: admob.totals.estimatedEarnings } : {});
+    const totals = {
+        adEarnings,
+        proceeds: round2(appProceeds + subscriptionProceeds),
+        subscriptionProceeds,
+        total: round2(appProceeds + subscriptionProceeds + adEarnings),
+    };
+
+    const firstDownloads = snapshot.appstore?.downloads?.totals?.firstDownloads ?? 0;
+    const perDownload = {
+        total: ratio(totals.total, firstDownloads),
+        adEarnings: ratio(totals.adEarnings, firstDownloads),
+        proceeds: ratio(totals.proceeds, firstDownloads),
+    };
+
+    // 平均日次端末数 = 端末日 (sessions レポートの Unique Devices の行合計) / 端末日が覆う日数。
+    // 行はセグメント別で、同じ端末が複数の行に出るので上限。日数は窓日数ではなく実際に行があった日数 (daysCovered。古いスナップショットは daysWithData)。
+    const devices = snapshot.appAnalytics?.metrics?.activeDevices;
+    const deviceDays = devices?.total || null;
+    const coveredDays = devices?.daysCovered ?? devices?.daysWithData ?? windowDays;
+    const avgDailyDevices = deviceDays && coveredDays > 0 ? deviceDays / coveredDays : null;
+    const arpdau = avgDailyDevices && windowDays > 0 ? ratio(totals.total / windowDays, avgDailyDevices) : null;
+
+    const premium = premiumTradeOff({ totals, windowDays, firstDownloads, avgDailyDevices, coveredDays, snapshot });
+
+    return {
+        available: true,
+        currency: ctx.currency,
+        ...(fx ? { fxRatesFile: 'analytics/fx-rates.json', fx: { asOf, rates: ctx.rates } } : {}),
+        revenueByDayJst,
+        totals,
+        perDownload,
+        arpdau,
+        ...(arpdau != null ? {
+            arpdauBasis: `1 日あたり総収益 / 平均日次端末数 (Unique Devices の行合計 / ${coveredDays} 日)。端末数はセグメントをまたいだ重複を含む上限なので ARPDAU は下限寄り`,
+        } : {}),
+        premium,
+        ...(unconverted ? { unconvertedAmounts: unconverted } : {}),
+    };
+}
+
+// ---- Premium 1 人あたりの月額 proceeds vs 無料のままなら出していた広告収益 (逸失) ----
+// 無料ユーザー 1 人の月額広告収益 = (窓の広告収益 / 窓日数 × 30) / 無料ユーザー数。
+// 無料ユーザー数は App Analytics の平均日次端末数 (上限) − 有効サブスク、無ければ窓内の新規DL − 有効サブスクで近似する。
+function premiumTradeOff({ totals, windowDays, firstDownloads, avgDailyDevices, coveredDays, snapshot }) {
+    const subs = snapshot.appstore?.subscriptions;
+    const active = subs && subs.available !== false ? subs.latest ?? 0 : 0;
+    const monthly = (v) => (windowDays > 0 ? (v / windowDays) * 30 : 0);
+    let basis, freeUsers;
+    if (avgDailyDevices) {
+        basis = `appAnalytics.activeDevices (平均日次端末数 − 有効サブスク。端末数は ${coveredDays} 日ぶんの Unique Devices の行合計から出した`
+            + 'セグメント間の重複を含む上限なので、逸失は小さめに出る)';
+        freeUsers = avgDailyDevices - active;
+    } else {
+        basis = 'appstore.downloads.totals.firstDownloads (窓内の新規DL − 有効サブスク。母数が小さく逸失は過大に出やすい)';
+        freeUsers = firstDownloads - active;
+    }
+    const adForgoneMonthly = freeUsers > 0 ? round2(monthly(totals.adEarnings) / freeUsers) : null;
+    const proceedsMonthly = active > 0 ? round2(monthly(totals.proceeds) / active) : null;
+    return {
+        activeSubscriptions: active,
+        proceedsPerPremiumMonthly: proceedsMonthly,
+        adForgonePerPremiumMonthly: adForgoneMonthly,
+        netGainPerPremiumMonthly: proceedsMonthly != null && adForgoneMonthly != null ? round2(proceedsMonthly - adForgoneMonthly) : null,
+        basis,
+    };
+}
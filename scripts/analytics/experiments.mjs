@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — 実験台帳 (analytics/experiments.md) の解析と勝敗判定 (依存ゼロ / Node 標準モジュールのみ)
+//
+// 台帳の `### EXP-…` ブロック (エントリ書式) を読み、計測窓の開始・終了に当たるスナップショットを選んで
+// 主要成功指標とガードレールを**スナップショットの実フィールド**から計算し、`- result:` 行を書き戻す。
+//   - 計測窓: `2026-07-24〜2026-08-07` のような明示範囲、または `14日` のような日数 (起点は baseline の日付 → 無ければ ID の日付)。
+//     「N 到達基準」など日付に落ちない窓は判定せず note を返す (手で測る)。
+//   - 開始スナップショット = 起点日以前の最新 / 終了スナップショット = 収集窓の最終日が終了日に届いている最初のもの
+//     (snapshot-store の findSnapshotCovering。終了日当日に撮ったものは前日までしか含まないので取らない)。終了側が無ければ「計測窓未了」。
+//   - 指標の向き: 台帳でパスの直後に ↓ / ↑ があればそれ、無ければ KPI ツリー (analytics/kpi-tree.json) の同じ field の target.op
+//     (<= なら「低いほど良い」。例: appstore.subscriptionEvents.totals.grossChurn)、どちらも無ければ「高いほど良い」。
+//   - 判定: 差 0 or 相対 ±5% 未満 = flat、良い向きに動けば win、悪い向きなら loss。
+//     ガードレールも同じ ±5% の幅で見て、悪い向きに幅を超えて動いたら違反。主要指標が win でもガードレール違反なら loss。
+//   - 小 N (件数の指標で、開始・終了どちらかの実数が 1 桁) なら「率で断定しない」注意を result に必ず添える。金額・比率には付けない。
+//   - 指標が App Store 由来 (appstore.* / revenue.* / derived.*) で、開始・終了スナップショットに未確定日 (Sales の遅延未着など) が
+//     残っていれば既定では判定しない (reconcile.mjs で取り直してから)。--include-provisional で判定し、未確定日を result に添える。
+//
+// 使い方:
+//   node scripts/analytics/experiments.mjs                    # 全実験を判定して表示のみ (台帳は変更しない)
+//   node scripts/analytics/experiments.mjs EXP-20260723-xxxx  # 指定実験のみ
+//   node scripts/analytics/experiments.mjs --write [--force]  # 窓が終わった実験の result を台帳に書き戻す (--force は既存 result も上書き)
+//   node scripts/analytics/experiments.mjs --include-provisional  # 未確定日が残るスナップショットでも判定する
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { findSnapshotForDate, findSnapshotCovering, loadSnapshot, getPath, snapshotWindow, provisionalDays } from './snapshot-store.mjs';
+import { delta } from './compare-snapshots.mjs';
+import { zonedDate, addDays } from './report-window.mjs';
+import { loadKpiTree } from './kpi.mjs';
+
+const FLAT_THRESHOLD = 0.05; // 相対 ±5% 未満は flat
+const SMALL_N = 10;          // 実数がこれ未満 (1 桁) なら小 N 注意
+// 小 N 注意の対象 = 件数の指標 (DL・サブスク・イベント・表示など)。金額 (収益・proceeds) と比率 (eCPM・継続率・1 人あたり) は除く。
+const COUNT_PATHS = [
+    /^appstore\.downloads\.totals\.(firstDownloads|redownloads|updates|iapUnits)$/,
+    /^appstore\.subscriptions\.(latest|byProduct\.[^.]+)$/,
+    /^appstore\.subscriptionEvents\.totals\.[^.]+$/,
+    /^appAnalytics\.metrics\.[^.]+\.total$/,
+    /^admob\.totals\.(impressions|clicks|adRequests|matchedRequests)$/,
+    /^attribution\.byCampaign\.[^.]+\.(impressions|pageViews|firstDownloads)$/,
+];
+
+export const EXPERIMENTS_MD = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/experiments.md');
+
+// ---- 台帳の解析。コードフェンス内 (書式サンプル) は読み飛ばす ----
+// 返り値: [{ id, startLine, endLine, fields: { status, 主要成功指標, ... }, fieldLines: { key: lineIndex } }]
+export function parseExperiments(markdown) {
+    const lines = markdown.split('\n');
+    const blocks = [];
+    let inFence = false;
+    let cur = null;
+    lines.forEach((line, i) => {
+        if (line.trim().startsWith('```')) { inFence = !inFence; return; }
+        if (inFence) return;
+        const h = line.match(/^###\s+(EXP-\S+)/);
+        if (h) {
+            if (cur) { cur.endLine = i - 1; blocks.push(cur); }
+            cur = { id: h[1], startLine: i, endLine: null, fields: {}, fieldLines: {} };
+            return;
+        }
+        if (!cur) return;
+        if (/^#{1,3}\s/.test(line)) { cur.endLine = i - 1; blocks.push(cur); cur = null; return; }
+        const m = line.match(/^-\s*([^:：]+?)\s*[:：]\s*(.*)$/);
+        if (m) { cur.fields[m[1]] = m[2].trim(); cur.fieldLines[m[1]] = i; }
+    });
+    if (cur) { cur.endLine = lines.length - 1; blocks.push(cur); }
+    return blocks;
+}
+
+// ---- フィールド名 (snapshot の実パス) を抽出。バッククォート優先、無ければドット区切りの識別子 ----
+export function extractFieldPaths(text = '') {
+    const ticked = [...text.matchAll(/`([A-Za-z][\w]*(?:\.[\w*]+)+)`/g)].map((m) => m[1]);
+    if (ticked.length) return ticked;
+    return [...text.matchAll(/\b((?:appstore|appAnalytics|admob|derived|revenue)(?:\.[\w*]+)+)/g)].map((m) => m[1]);
+}
+
+// ---- 指標の向き: 'down' (低いほど良い) / 'up'。台帳の ↓↑ > KPI ツリーの target.op > 既定 up ----
+function escapeRe(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+export function metricDirection(path, text = '', kpiTree = null) {
+    const arrow = text.match(new RegExp(`\`?${escapeRe(path)}\`?\\s*([↑↓])`))?.[1];
+    if (arrow) return arrow === '↓' ? 'down' : 'up';
+    const op = kpiTree?.nodes?.find((n) => n.field === path)?.target?.op;
+    return op === '<=' ? 'down' : 'up';
+}
+
+// ---- 計測窓 → { from, to } (JST 日付)。解釈できなければ { note } ----
+export function resolveMeasurementWindow(exp) {
+    const win = exp.fields['計測窓'] ?? '';
+    const range = win.match(/(\d{4}-\d{2}-\d{2})\s*(?:〜|~|から|→|-{1,2}|–)\s*(\d{4}-\d{2}-\d{2})/);
+    if (range) return { from: range[1], to: range[2] };
+    const days = win.match(/(\d+)\s*日/);
+    if (!days) return { note: `計測窓「${win || '(空)'}」を日付に解釈できない (N 到達基準などは手動で測定)` };
+    const baseDate = (exp.fields.baseline ?? '').match(/(\d{4}-\d{2}-\d{2})/)?.[1];
+    const idDate = exp.id.match(/^EXP-(\d{4})(\d{2})(\d{2})/);
+    const from = baseDate ?? (idDate ? `${idDate[1]}-${idDate[2]}-${idDate[3]}` : null);
+    if (!from) return { note: '計測窓の起点 (baseline の日付 / ID の日付) が見つからない' };
+    return { from, to: addDays(from, Number(days[1])) };
+}
+
+function isSmallN(path, a, b) {
+    if (!COUNT_PATHS.some((re) => re.test(path))) return false;
+    return [a, b].some((v) => typeof v === 'number' && Math.abs(v) < SMALL_N);
+}
+
+function judge(abs, rel, direction = 'up') {
+    if (abs == null) return null;
+    if (abs === 0 || (rel != null && Math.abs(rel) < FLAT_THRESHOLD)) return 'flat';
+    return (abs > 0) === (direction === 'up') ? 'win' : 'loss';
+}
+
+// KPI ツリーは向きの参照にだけ使う。読めなければ台帳の ↓↑ と既定 (up) で判定する。
+function loadDirectionsTree() {
+    try {
+        return loadKpiTree();
+    } catch {
+        return null;
+    }
+}
+
+const PROVISIONAL_PREFIXES = ['appstore.', 'revenue.', 'derived.'];
+
+// ---- 1 実験を判定。スナップショット選択は snapshot-store の日付解決に従う ----
+export function evaluateExperiment(exp, opts = {}) {
+    const primary = extractFieldPaths(exp.fields['主要成功指標'])[0];
+    const guardrails = extractFieldPaths(exp.fields['ガードレール']).filter((p) => p !== primary);
+    const out = { id: exp.id, status: exp.fields.status ?? null, primary: primary ?? null, guardrails };
+    if (!primary) return { ...out, ready: false, note: '主要成功指標にスナップショットのフィールド名が無い' };
+
+    const window = resolveMeasurementWindow(exp);
+    if (!window.from) return { ...out, ready: false, note: window.note };
+    out.window = window;
+
+    const startRef = findSnapshotForDate(window.from, { prefer: 'before', dir: opts.dir });
+    const endRef = findSnapshotCovering(window.to, { dir: opts.dir });
+    if (!startRef) return { ...out, ready: false, note: `開始 ${window.from} 以前のスナップショットが無い` };
+    if (!endRef) return { ...out, ready: false, note: `計測窓未了 (収集窓が終了 ${window.to} まで届いたスナップショットがまだ無い)` };
+    const start = loadSnapshot(startRef.path);
+    const end = loadSnapshot(endRef.path);
+    out.snapshots = { start: startRef.stamp, end: endRef.stamp };
+    const ws = snapshotWindow(start), we = snapshotWindow(end);
+    if (ws && we && ws.days !== we.days) out.windowNote = `収集窓の長さが違う (${ws.days} 日 vs ${we.days} 日)。totals 系は日数差を考慮して読む`;
+
+    // 未確定日は App Store のレポート由来の値 (と、それを含む収益) にだけ効く。
+    if ([primary, ...guardrails].some((p) => PROVISIONAL_PREFIXES.some((x) => p.startsWith(x)))) {
+        const pending = [...new Set([...provisionalDays(start), ...provisionalDays(end)])].sort();
+        if (pending.length && !opts.includeProvisional) {
+            return { ...out, ready: false, note: `開始/終了スナップショットに未確定日 ${pending.join(', ')} が残る (reconcile.mjs で取り直してから判定。--include-provisional で強行)` };
+        }
+        if (pending.length) out.provisionalDays = pending;
+    }
+
+    const a = getPath(start, primary), b = getPath(end, primary);
+    if (typeof a !== 'number' || typeof b !== 'number') {
+        return { ...out, ready: false, note: `${primary} が開始/終了スナップショットに数値で無い (start=${a ?? '欠落'} / end=${b ?? '欠落'})` };
+    }
+    const kpiTree = opts.kpiTree !== undefined ? opts.kpiTree : loadDirectionsTree();
+    const direction = metricDirection(primary, exp.fields['主要成功指標'], kpiTree);
+    const d = delta(a, b);
+    out.metric = { start: a, end: b, ...d, direction };
+
+    out.guardrailResults = guardrails.map((path) => {
+        const gDir = metricDirection(path, exp.fields['ガードレール'], kpiTree);
+        const ga = getPath(start, path), gb = getPath(end, path);
+        if (typeof ga !== 'number' || typeof gb !== 'number') return { path, direction: gDir, start: ga ?? null, end: gb ?? null, ok: null, note: 'データ欠落' };
+        const gd = delta(ga, gb);
+        return { path, direction: gDir, start: ga, end: gb, ...gd, ok: judge(gd.abs, gd.rel, gDir) !== 'loss' };
+    });
+    const broken = out.guardrailResults.filter((g) => g.ok === false);
+
+    let verdict = judge(d.abs, d.rel, direction);
+    if (verdict === 'win' && broken.length) verdict = 'loss';
+    out.verdict = verdict;
+    out.smallN = isSmallN(primary, a, b) || out.guardrailResults.some((g) => isSmallN(g.path, g.start, g.end));
+    out.ready = true;
+    return out;
+}
+
+function signed(n) {
+    return `${n >= 0 ? '+' : ''}${n}`;
+}
+
+// ---- 判定結果 → 台帳の result 行 (判定 / start値 → end値 / lift / 所感 / 測定日) ----
+export function formatResult(ev, measuredOn) {
+    const m = ev.metric;
+    const lift = `${signed(m.abs)}${m.rel == null ? '' : ` (${signed(Math.round(m.rel * 1000) / 10)}%)`}`;
+    const notes = [];
+    for (const g of ev.guardrailResults) {
+        const arrow = g.direction === 'down' ? ' ↓' : '';
+        notes.push(g.ok == null ? `ガードレール ${g.path}${arrow} データ欠落` : `ガードレール ${g.path}${arrow} ${g.start}→${g.end} ${g.ok ? 'OK' : '悪化'}`);
+    }
+    if (ev.windowNote) notes.push(ev.windowNote);
+    if (m.direction === 'down') notes.push('主要指標は低いほど良い');
+    if (ev.smallN) notes.push('⚠ 小N (実数 1 桁) — 率で断定しない');
+    if (ev.provisionalDays) notes.push(`⚠ 未確定日 ${ev.provisionalDays.length} 日を含む (${ev.provisionalDays.join(', ')})`);
+    notes.push(`snapshots ${ev.snapshots.start} → ${ev.snapshots.end}`);
+    return `${ev.verdict} / ${m.start} → ${m.end} / ${lift} / ${notes.join('; ')} / ${measuredOn}`;
+}
+
+// ---- 台帳に result (+ status: completed) を書き戻した Markdown を返す ----
+export function applyResults(markdown, results) {
+    const lines = markdown.split('\n');
+    const blocks = parseExperiments(markdown);
+    // 行挿入で後続の行番号がずれないよう、後ろのブロックから処理する。
+    for (const block of [...blocks].reverse()) {
+        const result = results[block.id];
+        if (!result) continue;
+        if (block.fieldLines.status != null) lines[block.fieldLines.status] = '- status: completed';
+        if (block.fieldLines.result != null) {
+            lines[block.fieldLines.result] = `- result: ${result}`;
+        } else {
+            let at = block.endLine;
+            while (at > block.startLine && lines[at].trim() === '') at--;
+            lines.splice(at + 1, 0, `- result: ${result}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// result が「(completed 時に追記)」のような未記入プレースホルダなら空扱い。
+function hasResult(exp) {
+    const r = exp.fields.result ?? '';
+    return r.length > 0 && !/^\(.*\)$/.test(r) && !r.startsWith('(completed');
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { ids: [], write: false, force: false, includeProvisional: false };
+    for (const a of argv) {
+        if (a === '--write') args.write = true;
+        else if (a === '--force') args.force = true;
+        else if (a === '--include-provisional') args.includeProvisional = true;
+        else if (a.startsWith('EXP-')) args.ids.push(a);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const markdown = readFileSync(EXPERIMENTS_MD, 'utf8');
+    const exps = parseExperiments(markdown).filter((e) => !args.ids.length || args.ids.includes(e.id));
+    const measuredOn = zonedDate(Date.now()); // 報告タイムゾーンの今日 (既定 JST)
+    const evaluations = exps.map((e) => evaluateExperiment(e, { includeProvisional: args.includeProvisional }));
+
+    const toWrite = {};
+    const lines = [`実験台帳: ${exps.length} 件`];
+    for (const [i, ev] of evaluations.entries()) {
+        if (!ev.ready) { lines.push(`  ${ev.id}: 判定不可 — ${ev.note}`); continue; }
+        const result = formatResult(ev, measuredOn);
+        ev.result = result;
+        lines.push(`  ${ev.id}: ${result}`);
+        if (args.write && (args.force || !hasResult(exps[i]))) toWrite[ev.id] = result;
+    }
+    if (Object.keys(toWrite).length) {
+        writeFileSync(EXPERIMENTS_MD, applyResults(markdown, toWrite));
+        lines.push(`台帳に書き戻し: ${Object.keys(toWrite).join(', ')}`);
+    } else if (args.write) {
+        lines.push('書き戻し対象なし (窓未了 / 既に result あり → --force で上書き)');
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify(evaluations, null, 2) + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — スナップショットの日別系列を表計算向け CSV に平坦化 (依存ゼロ / Node 標準モジュールのみ)
+//
+// スナップショットは入れ子の JSON (appstore.downloads.byDayJst[] / admob.byDayJst[] / appstore.subscriptions.byDayJst[] …) なので、
+// Numbers / Google Sheets で開ける 2 種類の CSV に落とす。
+//   - long (tidy): 1 行 = 1 観測 `date,source,metric,value,snapshot_id`。スナップショットごとの値をそのまま並べる
+//     (窓が重なる日は snapshot_id 違いで複数行。ピボットや再集計差の確認用)。
+//   - wide: 1 行 = 1 日、列 = `source.metric`。全スナップショットを trends.mjs と同じ規則で結合 (新しいスナップショット優先)。
+//   - source はスナップショットの最上位キー (appstore / appAnalytics / admob / derived)。metric はその下のパスから日別配列の段
+//     (byDayJst / byDay / revenueByDayJst の ByDayJst) を抜き、行のフィールド名を足したもの (例: downloads.firstDownloads,
+//     subscriptions.byProduct.BodyLapse Pro, revenue.total)。数値でないフィールドは出さない。
+//   - App Store の未確定日 (snapshot-store.provisionalDays) の App Store 系・derived の行は trends と同じく既定で出さない (--include-provisional)。
+//   - 差分が読みやすいよう出力は決定論: 行・列は辞書順、数値は JS の最短表記、改行は LF、引用符はカンマ・引用符・改行・前後の空白を
+//     含むセルにだけ付ける (中の " は "" )。空セル = その日の値が無い。
+//
+// 使い方:
+//   node scripts/analytics/export-series.mjs [<snapshot.json|YYYY-MM-DD>] [--format long|wide] [--out-dir analytics/exports]
+//        [--dir analytics/snapshots] [--include-provisional] [--stdout]
+//   (引数なし = 全スナップショット。--stdout は --format で 1 種類に絞ったとき CSV 本体を標準出力へ)
+//
+// 契約: 標準出力 = 書き出した CSV のパス (1 行 1 ファイル) か、--stdout なら CSV 本体。標準エラー = 要約。
+// 出力先 analytics/exports/ は gitignore 済み (集計値のみだが履歴と同じくローカルに置く)。
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { resolve, dirname, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { listSnapshots, loadSnapshot, resolveSnapshotRef, collectDaySeries, provisionalDays, SNAPSHOT_DIR } from './snapshot-store.mjs';
+import { joinDaySeries } from './trends.mjs';
+
+export const EXPORT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/exports');
+export const LONG_COLUMNS = ['date', 'source', 'metric', 'value', 'snapshot_id'];
+// trends.mjs と同じ: 未確定日の影響を受けるのは App Store のレポート由来と、proceeds を含む derived。
+const PROVISIONAL_PREFIXES = ['appstore.', 'derived.'];
+
+// ---- CSV のセル。必要なときだけ引用符で囲む (同じ値は常に同じ表記) ----
+export function csvCell(v) {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+export function toCsv(header, rows) {
+    return [header, ...rows].map((r) => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// ---- 日別系列のパス ('appstore.downloads.byDayJst') → { source, prefix } ----
+function seriesName(path) {
+    const [source, ...rest] = path.split('.');
+    const last = rest.pop() ?? '';
+    const stem = last === 'byDayJst' || last === 'byDay' ? '' : last.replace(/ByDay(Jst)?$/, '');
+    return { source, prefix: [...rest, stem].filter(Boolean).join('.') };
+}
+
+// ---- 1 行 ({ day, ... }) の数値フィールドを { 'a.b': number } に (入れ子のマップは辿る。day 自体は除く) ----
+function numericFields(row, prefix = '', out = {}) {
+    for (const [k, v] of Object.entries(row)) {
+        if (!prefix && k === 'day') continue;
+        const key = prefix ? `${prefix}.${k}` : k;
+        if (typeof v === 'number' && Number.isFinite(v)) out[key] = v;
+        else if (v && typeof v === 'object' && !Array.isArray(v)) numericFields(v, key, out);
+    }
+    return out;
+}
+
+// ---- 日別系列の行 → [{ date, source, metric, value }]。skipDays の日は affected な系列だけ落とす ----
+function observations(series, skipDays = new Set()) {
+    const out = [];
+    for (const [path, rows] of Object.entries(series)) {
+        const { source, prefix } = seriesName(path);
+        const affected = skipDays.size > 0 && PROVISIONAL_PREFIXES.some((p) => path.startsWith(p));
+        for (const row of rows) {
+            if (affected && skipDays.has(row.day)) continue;
+            for (const [field, value] of Object.entries(numericFields(row))) {
+                out.push({ date: row.day, source, metric: prefix ? `${prefix}.${field}` : field, value });
+            }
+        }
+    }
+    return out;
+}
+
+const byText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// ---- long: 全スナップショットの観測を snapshot_id 付きで。並びは snapshot_id → date → source → metric ----
+export function longRows(snapshots, { includeProvisional = false } = {}) {
+    const rows = [];
+    for (const snap of snapshots) {
+        const id = (snap._file ?? '').replace(/\.json$/, '');
+        const skip = includeProvisional ? new Set() : new Set(provisionalDays(snap));
+        for (const o of observations(collectDaySeries(snap), skip)) rows.push([o.date, o.source, o.metric, o.value, id]);
+    }
+    return rows.sort((a, b) => byText(a[4], b[4]) || byText(a[0], b[0]) || byText(a[1], b[1]) || byText(a[2], b[2]));
+}
+
+// ---- wide: 結合済み系列 (新しい方優先) を 1 日 1 行に。列は date + source.metric の辞書順 ----
+export function wideTable(snapshots, { includeProvisional = false } = {}) {
+    const joined = joinDaySeries(snapshots, { includeProvisional });
+    const series = Object.fromEntries(Object.entries(joined).map(([path, byDay]) => [path, Object.values(byDay).map((h) => h.row)]));
+    const byDate = new Map();
+    const columns = new Set();
+    for (const o of observations(series)) {
+        const col = `${o.source}.${o.metric}`;
+        columns.add(col);
+        if (!byDate.has(o.date)) byDate.set(o.date, {});
+        byDate.get(o.date)[col] = o.value;
+    }
+    const cols = [...columns].sort(byText);
+    const rows = [...byDate.keys()].sort(byText).map((d) => [d, ...cols.map((c) => byDate.get(d)[c])]);
+    return { header: ['date', ...cols], rows };
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { ref: null, format: null, outDir: EXPORT_DIR, dir: SNAPSHOT_DIR, includeProvisional: false, stdout: false };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--format') args.format = argv[++i];
+        else if (a === '--out-dir') args.outDir = resolve(argv[++i]);
+        else if (a === '--dir') args.dir = resolve(argv[++i]);
+        else if (a === '--include-provisional') args.includeProvisional = true;
+        else if (a === '--stdout') args.stdout = true;
+        else if (!a.startsWith('--') && !args.ref) args.ref = a;
+        else throw new Error(`不明な引数: ${a}`);
+    }
+    if (args.format && !['long', 'wide'].includes(args.format)) throw new Error(`--format は long か wide: ${args.format}`);
+    if (args.stdout && !args.format) throw new Error('--stdout は --format long|wide と一緒に使う');
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n`);
+        process.exit(2);
+    }
+    // 日付指定は「その日以前の最新」(compare-snapshots の A 側と同じ)。
+    const paths = args.ref ? [resolveSnapshotRef(args.ref, { prefer: 'before', dir: args.dir })] : listSnapshots(args.dir).map((r) => r.path);
+    if (!paths.length) {
+        process.stderr.write(`${args.dir} にスナップショットが無い\n`);
+        process.exit(1);
+    }
+    const snapshots = paths.map((p) => loadSnapshot(p));
+    const opts = { includeProvisional: args.includeProvisional };
+    const long = args.format === 'wide' ? null : longRows(snapshots, opts);
+    const wide = args.format === 'long' ? null : wideTable(snapshots, opts);
+    const csv = {
+        ...(long ? { long: toCsv(LONG_COLUMNS, long) } : {}),
+        ...(wide ? { wide: toCsv(wide.header, wide.rows) } : {}),
+    };
+    const summary = `系列 CSV: スナップショット ${snapshots.length} 本` +
+        (long ? ` · long ${long.length} 行` : '') +
+        (wide ? ` · wide ${wide.rows.length} 日 × ${wide.header.length - 1} 列` : '') +
+        (args.includeProvisional ? ' (未確定日を含む)' : '');
+    if (args.stdout) {
+        process.stderr.write(summary + '\n');
+        process.stdout.write(csv[args.format]);
+        return;
+    }
+    // 1 本だけならファイル名にその stamp、全部なら series-*.csv (毎回上書き = 最新の履歴の写し)。
+    const base = args.ref ? basename(paths[0], '.json') : 'series';
+    mkdirSync(args.outDir, { recursive: true });
+    const written = Object.entries(csv).map(([kind, text]) => {
+        const p = resolve(args.outDir, `${base}-${kind}.csv`);
+        writeFileSync(p, text);
+        return p;
+    });
+    process.stderr.write(`${summary}\n${written.map((p) => `  ${p}`).join('\n')}\n`);
+    process.stdout.write(written.join('\n') + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,101 @@
+// グロース分析ハーネス — 為替換算 (オフライン / 依存ゼロ / Node 標準モジュールのみ)
+//
+// pull-appstore は proceeds を通貨別 (アプリ本体の proceedsByCurrency と、SKU 一致のサブスク/IAP の subscriptionProceedsByCurrency) のまま持ち、
+// AdMob は口座の currencyCode で返す。
+// 通貨を混ぜて足さないための設計だが、そのままでは「総収益」が出せない。ここではローカルのレートファイル
+// analytics/fx-rates.json だけを使って報告通貨に寄せる (ネットワークに取りに行かない = 再現性を保つ)。
+//
+// レートファイル (形式は analytics/fx-rates.example.json。実ファイルは gitignore 済みで各自が手で更新する):
+//   { "reportingCurrency": "JPY", "rates": { "YYYY-MM-DD": { "USD": 149.52, ... } } }
+//   rates[日付][通貨] = その通貨 1 単位が報告通貨でいくらか。換算には「基準日以前で最新のレート日」を使う。
+//
+// 換算結果は必ず元の金額・通貨と、使ったレート・レート日を併記する (後から検算・差し替えできるように)。
+// レートが無い通貨は黙って落とさず unconverted に残す。
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FX_RATES_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/fx-rates.json');
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ---- レートファイルの読み込み。無ければ null、形式が壊れていれば例外 ----
+export function loadFxRates(path = FX_RATES_PATH) {
+    if (!existsSync(path)) return null;
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    const ccy = raw.reportingCurrency;
+    if (!/^[A-Z]{3}$/.test(ccy ?? '')) throw new Error(`${path}: reportingCurrency (ISO 4217 の 3 文字) が無い`);
+    const rates = {};
+    for (const [date, table] of Object.entries(raw.rates ?? {})) {
+        if (!DATE_RE.test(date)) throw new Error(`${path}: rates のキー ${date} が YYYY-MM-DD でない`);
+        for (const [c, v] of Object.entries(table ?? {})) {
+            if (!(typeof v === 'number' && v > 0)) throw new Error(`${path}: rates.${date}.${c} が正の数でない`);
+        }
+        rates[date] = table;
+    }
+    return { path, reportingCurrency: ccy, rates, dates: Object.keys(rates).sort() };
+}
+
+// ---- 通貨 → 報告通貨のレート。asOf (YYYY-MM-DD) 以前で最新の日付を使う。見つからなければ null ----
+export function rateFor(fx, currency, asOf) {
+    if (currency === fx.reportingCurrency) return { rate: 1, rateDate: null };
+    for (let i = fx.dates.length - 1; i >= 0; i--) {
+        const d = fx.dates[i];
+        if (asOf && d > asOf) continue;
+        const rate = fx.rates[d][currency];
+        if (rate != null) return { rate, rateDate: d };
+    }
+    return null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ---- 金額を報告通貨へ。{ amount, currency, source: { amount, currency }, rate, rateDate } or null ----
+export function convert(fx, amount, currency, asOf) {
+    const r = rateFor(fx, currency, asOf);
+    if (!r) return null;
+    return { amount: round2(amount * r.rate), currency: fx.reportingCurrency, source: { amount, currency }, rate: r.rate, rateDate: r.rateDate };
+}
+
+// ---- 通貨別の金額 { ccy: amount } をまとめて換算。換算できない通貨は unconverted へ (derived.mjs の窓合計もこれで揃える) ----
+export function convertAll(fx, byCurrency, asOf) {
+    const items = [], unconverted = [];
+    for (const [ccy, amount] of Object.entries(byCurrency)) {
+        if (!amount) continue;
+        const c = convert(fx, amount, ccy, asOf);
+        if (c) items.push(c);
+        else unconverted.push({ amount, currency: ccy, reason: `${asOf} 以前の ${ccy} レートが無い` });
+    }
+    return { total: round2(items.reduce((s, c) => s + c.amount, 0)), items, unconverted };
+}
+
+// ---- snapshot の revenue セクション (ASC proceeds (アプリ本体 + サブスク/IAP) + AdMob 推定収益を報告通貨で合算) ----
+// サブスク/IAP の proceeds は subscriptionProceeds として別に換算してから足す (それを持たない古いスナップショットは 0 扱いで内訳に出ない)。
+// asOf は換算の基準日 (窓の最終日)。fx が null (レートファイル無し) なら available:false。
+export function buildRevenue({ appstore, admob }, fx, asOf) {
+    if (!fx) {
+        return {
+            available: false,
+            note: '為替レートファイル analytics/fx-rates.json が無い。analytics/fx-rates.example.json を写して実レートを入れると合算される',
+        };
+    }
+    const proceeds = appstore?.downloads?.proceedsByCurrency ?? {};
+    const earnings = admob?.configured && admob.totals ? { [admob.currency]: admob.totals.estimatedEarnings } : {};
+    const appstoreProceeds = convertAll(fx, proceeds, asOf);
+    const subscriptionProceeds = convertAll(fx, appstore?.downloads?.subscriptionProceedsByCurrency ?? {}, asOf);
+    const admobEarnings = convertAll(fx, earnings, asOf);
+    const unconverted = [
+        ...appstoreProceeds.unconverted.map((u) => ({ source: 'appstore', ...u })),
+        ...subscriptionProceeds.unconverted.map((u) => ({ source: 'appstore-subscriptions', ...u })),
+        ...admobEarnings.unconverted.map((u) => ({ source: 'admob', ...u })),
+    ];
+    return {
+        available: true,
+        reportingCurrency: fx.reportingCurrency,
+        asOf,
+        appstoreProceeds: { total: appstoreProceeds.total, items: appstoreProceeds.items },
+        subscriptionProceeds: { total: subscriptionProceeds.total, items: subscriptionProceeds.items },
+        admobEarnings: { total: admobEarnings.total, items: admobEarnings.items },
+        total: round2(appstoreProceeds.total + subscriptionProceeds.total + admobEarnings.total),
+        ...(unconverted.length ? { unconverted } : {}),
+    };
+}
@@ -0,0 +1,157 @@
+// グロース分析ハーネス — HTTP 記録/再生レイヤ (依存ゼロ / Node 標準モジュールのみ)
+//
+// pull-* の 3 収集スクリプトは api.appstoreconnect.apple.com / admob.googleapis.com / oauth2.googleapis.com を
+// 直接叩くため、本物の資格情報とネットワークが無いと動かせない。全 HTTP をこのモジュールの httpFetch に通し、
+//   - record: 実通信しつつレスポンス (gzip TSV の生バイト・403 などのエラー応答も含む) をディレクトリに保存
+//   - replay: 保存済みレスポンスだけで応答 (ネットワーク・資格情報なしで snapshot.mjs が最後まで走る)
+// を切り替えられるようにする。既定 (live) は素の fetch と同じ。
+//
+// 選択: env GROWTH_HTTP_RECORD=<dir> / GROWTH_HTTP_REPLAY=<dir>、または各 CLI の --record <dir> / --replay <dir>。
+//
+// フィクスチャ: <dir>/<host>_<path>_<hash>.json (1 リクエスト 1 ファイル) + <dir>/_manifest.json。
+//   - キーは method + URL + JSON ボディのハッシュ。フォーム (OAuth トークン交換) のボディは資格情報なので
+//     キーにも保存にも含めない。Authorization ヘッダも保存しない。トークン応答の *_token 値は伏せ字にする。
+//   - manifest に記録時刻・vendor number・snapshot の窓を残す。記録時刻は記録のたびに付け直す。replay 中の nowMs() は
+//     記録時刻を返すので、「直近 N 日」の日付計算が記録時と一致しフィクスチャの URL に当たる。
+//   - check-fixtures.mjs --replay <dir> が記録を再生して収集結果を基準値と突き合わせる (パーサの回帰確認)。
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { createHash, generateKeyPairSync } from 'node:crypto';
+
+const MANIFEST = '_manifest.json';
+// 保存するレスポンスヘッダ (レート制限・リトライ判定に使うものだけ)。Content-Encoding は fetch が展開済みの
+// ボディを返すため保存しない (再生時に二重展開させない)。a-gzip の TSV は Content-Type なので生バイトのまま残る。
+const KEEP_HEADERS = ['content-type', 'retry-after', 'x-rate-limit'];
+const SECRET_KEYS = /^(access_token|refresh_token|id_token)$/;
+
+let config = null;
+const recordSessions = new Set(); // このプロセスで記録を始めたディレクトリ
+
+function envConfig() {
+    if (process.env.GROWTH_HTTP_REPLAY) return { mode: 'replay', dir: resolve(process.env.GROWTH_HTTP_REPLAY) };
+    if (process.env.GROWTH_HTTP_RECORD) return { mode: 'record', dir: resolve(process.env.GROWTH_HTTP_RECORD) };
+    return { mode: 'live', dir: null };
+}
+
+// ---- モード設定 (CLI フラグから)。未設定なら env を見る ----
+export function configureHttp({ mode, dir }) {
+    config = { mode, dir: dir ? resolve(dir) : null };
+    if (mode === 'record') {
+        mkdirSync(config.dir, { recursive: true });
+        // 記録時刻は記録のたびに付け直す (同じディレクトリに撮り直したとき、古い時刻のままだと再生の「直近 N 日」がずれる)。
+        // 1 プロセス内で同じディレクトリを設定し直しても同じ記録の続きとみなす。
+        if (!recordSessions.has(config.dir)) {
+            recordSessions.add(config.dir);
+            writeManifest({ recordedAtMs: Date.now() });
+        }
+    }
+    if (mode === 'replay' && !existsSync(resolve(config.dir, MANIFEST))) {
+        throw new Error(`replay: ${config.dir} に ${MANIFEST} が無い (--record で採取したディレクトリを指定)`);
+    }
+}
+
+export function httpMode() {
+    if (!config) {
+        config = envConfig();
+        if (config.mode !== 'live') configureHttp(config);
+    }
+    return config;
+}
+
+export function isOffline() {
+    return httpMode().mode === 'replay';
+}
+
+// ---- CLI 引数から --record/--replay <dir> を拾って設定 (各スクリプト共用)。消費した引数を除いて返す ----
+export function applyHttpFlags(argv) {
+    const rest = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--record' || argv[i] === '--replay') configureHttp({ mode: argv[i].slice(2), dir: argv[++i] });
+        else rest.push(argv[i]);
+    }
+    return rest;
+}
+
+export function readManifest() {
+    const { dir } = httpMode();
+    if (!dir) return {};
+    const p = resolve(dir, MANIFEST);
+    return existsSync(p) ? JSON.parse(readFileSync(p, 'utf8')) : {};
+}
+
+// 記録時に判明した非秘密の識別子 (vendor number など) を manifest に足す。record 以外では何もしない。
+export function writeManifest(patch) {
+    const { mode, dir } = config ?? {};
+    if (mode !== 'record') return;
+    const next = { ...readManifest(), ...patch };
+    writeFileSync(resolve(dir, MANIFEST), JSON.stringify(next, null, 2) + '\n');
+}
+
+// ---- 「今」。replay 中は記録時刻に固定 ----
+export function nowMs() {
+    return isOffline() ? readManifest().recordedAtMs : Date.now();
+}
+
+// ---- replay 用のダミー ES256 鍵 (JWT 署名処理をそのまま通すため。サーバに送られることは無い) ----
+let replayKeyPem = null;
+export function replayPrivateKeyPem() {
+    if (!replayKeyPem) {
+        const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        replayKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    }
+    return replayKeyPem;
+}
+
+function isFormBody(init) {
+    const ct = Object.entries(init.headers ?? {}).find(([k]) => k.toLowerCase() === 'content-type')?.[1] ?? '';
+    return init.body instanceof URLSearchParams || /x-www-form-urlencoded/i.test(ct);
+}
+
+function fixtureName(url, init) {
+    const method = (init.method ?? 'GET').toUpperCase();
+    const body = init.body != null && !isFormBody(init) ? String(init.body) : '';
+    const hash = createHash('sha256').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+    const u = new URL(url);
+    const slug = `${u.host}${u.pathname}`.replace(/[^A-Za-z0-9.-]+/g, '_').slice(0, 80);
+    return { file: `${slug}_${hash}.json`, method };
+}
+
+function redact(buf, contentType) {
+    if (!/json/i.test(contentType ?? '')) return buf;
+    try {
+        const json = JSON.parse(buf.toString('utf8'));
+        if (!json || typeof json !== 'object' || Array.isArray(json)) return buf;
+        let changed = false;
+        for (const k of Object.keys(json)) if (SECRET_KEYS.test(k)) { json[k] = 'REDACTED'; changed = true; }
+        return changed ? Buffer.from(JSON.stringify(json)) : buf;
+    } catch {
+        return buf;
+    }
+}
+
+// ---- fetch 互換。モードに応じて実通信 / 記録 / 再生 ----
+export async function httpFetch(url, init = {}) {
+    const { mode, dir } = httpMode();
+    if (mode === 'live') return fetch(url, init);
+
+    const { file, method } = fixtureName(url, init);
+    const path = resolve(dir, file);
+    if (mode === 'replay') {
+        if (!existsSync(path)) throw new Error(`replay: フィクスチャ無し ${method} ${url}`);
+        const fx = JSON.parse(readFileSync(path, 'utf8'));
+        const body = [204, 304].includes(fx.response.status) ? null : Buffer.from(fx.response.bodyBase64, 'base64');
+        return new Response(body, { status: fx.response.status, statusText: fx.response.statusText, headers: fx.response.headers });
+    }
+
+    const res = await fetch(url, init);
+    const headers = {};
+    for (const h of KEEP_HEADERS) if (res.headers.get(h) != null) headers[h] = res.headers.get(h);
+    const buf = Buffer.from(await res.arrayBuffer());
+    // 保存するのは伏せ字版。呼び出し側には本物を返す (record 中も収集は続くため)。
+    const saved = redact(buf, headers['content-type']);
+    writeFileSync(path, JSON.stringify({
+        request: { method, url },
+        response: { status: res.status, statusText: res.statusText, headers, bodyBase64: saved.toString('base64') },
+    }, null, 2) + '\n');
+    return new Response([204, 304].includes(res.status) ? null : buf, { status: res.status, statusText: res.statusText, headers });
+}
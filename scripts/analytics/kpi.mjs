@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — KPI ツリーの評価と doc ↔ スナップショットのフィールド照合 (依存ゼロ / Node 標準モジュールのみ)
+//
+// 目標値の正は analytics/kpi-tree.json (docs/growth-kpi-tree.md の表は説明と現状値。目標を変えるときは JSON を直す)。
+//   - nodes[].target: { op: '>=' | '<=', value: 数値 | 'previous', perDays? }
+//       perDays があれば目標は「perDays 日あたり」で、スナップショットの windowDays に按分して比べる。
+//       'previous' = 1 本前のスナップショットの同じフィールド (窓の長さが違えば按分)。ガードレール向き。
+//   - 判定: on-track (目標を満たす) / behind (満たさない) / missing-data (値が無い・比較対象が無い)。
+//     target:null のノードは値があれば no-target (ツリーの構造と現状値だけ見せる)。
+// フィールド照合 (--check): doc がバッククォートで書いた完全パス (appstore.… / appAnalytics.… など) と
+// kpi-tree.json の field を最新スナップショットに当て、
+//   - ソースが未設定・生成待ち・available:false の配下 → unavailable (未計装。ずれではない)
+//   - ソースは取れているのにフィールドが無い → drift (doc かスキーマの書き換え漏れ)。--check は drift があれば終了コード 1。
+//   doc の `{a,b}` は展開、`<ct>` のような <…> は任意のキー、`[]` は配列の要素として扱う。
+//
+// 使い方:
+//   node scripts/analytics/kpi.mjs [snapshot(パス or YYYY-MM-DD)] [--check] [--dir analytics/snapshots]   # 既定 = 最新スナップショット
+// snapshot.mjs も保存後にこの評価を呼んで要約に 1 行出す。
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { listSnapshots, loadSnapshot, resolveSnapshotRef, getPath, SNAPSHOT_DIR } from './snapshot-store.mjs';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+export const KPI_TREE_PATH = resolve(ROOT, 'analytics/kpi-tree.json');
+const SECTIONS = ['appstore', 'appAnalytics', 'admob', 'derived', 'revenue', 'attribution'];
+
+export function loadKpiTree(path = KPI_TREE_PATH) {
+    const tree = JSON.parse(readFileSync(path, 'utf8'));
+    const ids = new Set();
+    for (const n of tree.nodes ?? []) {
+        if (!n.id || !n.field) throw new Error(`${path}: id / field の無いノードがある`);
+        if (ids.has(n.id)) throw new Error(`${path}: ノード id ${n.id} が重複`);
+        ids.add(n.id);
+        if (n.target && !['>=', '<='].includes(n.target.op)) throw new Error(`${path}: ${n.id}.target.op は >= か <=`);
+    }
+    for (const n of tree.nodes) if (n.parent && !ids.has(n.parent)) throw new Error(`${path}: ${n.id}.parent ${n.parent} が無い`);
+    return tree;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ---- 1 ノードを評価 ----
+function evaluateNode(node, snap, prev) {
+    const value = getPath(snap, node.field);
+    const out = { id: node.id, label: node.label, field: node.field, value: typeof value === 'number' ? value : null };
+    if (out.value == null) return { ...out, status: 'missing-data', note: value === undefined ? 'フィールドが無い' : value === null ? '値が null (未到来・未計測)' : '数値でない' };
+    const t = node.target;
+    if (!t) return { ...out, status: 'no-target' };
+    let target;
+    if (t.value === 'previous') {
+        const pv = prev ? getPath(prev, node.field) : undefined;
+        if (typeof pv !== 'number') return { ...out, status: 'missing-data', note: '比較する 1 本前のスナップショットの値が無い' };
+        target = prev.windowDays && snap.windowDays ? pv * (snap.windowDays / prev.windowDays) : pv;
+    } else {
+        target = t.perDays && snap.windowDays ? t.value * (snap.windowDays / t.perDays) : t.value;
+    }
+    target = round2(target);
+    const ok = t.op === '>=' ? out.value >= target : out.value <= target;
+    return { ...out, target, op: t.op, status: ok ? 'on-track' : 'behind' };
+}
+
+// ---- ツリー全体を評価。nodes は kpi-tree.json の順 (親 → 子) ----
+export function evaluateKpiTree(tree, snap, prev = null) {
+    const nodes = tree.nodes.map((n) => ({ ...evaluateNode(n, snap, prev), ...(n.parent ? { parent: n.parent } : {}) }));
+    const counts = {};
+    for (const n of nodes) counts[n.status] = (counts[n.status] ?? 0) + 1;
+    return { snapshot: snap._file ?? null, northStar: nodes.find((n) => n.id === tree.northStar) ?? null, counts, nodes };
+}
+
+// ---- doc からスナップショットの完全パスを抜く (バッククォート内・既知のセクションで始まるものだけ) ----
+export function extractDocFields(markdown) {
+    const re = new RegExp(`\`((?:${SECTIONS.join('|')})(?:\\.[\\w<>{},\\[\\]]+)+)\``, 'g');
+    const out = new Set();
+    for (const m of markdown.matchAll(re)) for (const p of expandBraces(m[1])) out.add(p);
+    return [...out];
+}
+function expandBraces(path) {
+    const m = path.match(/\{([^}]+)\}/);
+    if (!m) return [path];
+    return m[1].split(',').flatMap((alt) => expandBraces(path.replace(m[0], alt.trim())));
+}
+
+// ---- パスの有無。'present' | 'unavailable' (ソース未設定などの配下) | 'missing' ----
+export function fieldStatus(snap, path) {
+    const walk = (obj, segs) => {
+        if (obj && typeof obj === 'object' && !Array.isArray(obj) &&
+            (obj.configured === false || obj.pending === true || obj.available === false)) return 'unavailable';
+        if (!segs.length) return obj === undefined ? 'missing' : 'present';
+        let [seg, ...rest] = segs;
+        let arr = false;
+        if (seg.endsWith('[]')) { arr = true; seg = seg.slice(0, -2); }
+        if (obj == null || typeof obj !== 'object') return 'missing';
+        if (/^<.+>$/.test(seg)) {
+            // 任意のキー。中身が空なら確かめようがないので present 扱い。
+            const keys = Object.keys(obj);
+            if (!keys.length) return 'present';
+            const results = keys.map((k) => walk(obj[k], rest));
+            return results.includes('present') ? 'present' : results[0];
+        }
+        let next = obj[seg];
+        if (arr) {
+            if (!Array.isArray(next)) return 'missing';
+            if (!next.length) return 'present';
+            next = next[next.length - 1];
+        }
+        return next === undefined ? 'missing' : walk(next, rest);
+    };
+    return walk(snap, path.split('.'));
+}
+
+// ---- doc と kpi-tree.json の全フィールドをスナップショットに照合 ----
+export function checkDocFields(markdown, tree, snap) {
+    const fields = [...new Set([...extractDocFields(markdown), ...tree.nodes.map((n) => n.field)])].sort();
+    const result = { present: [], unavailable: [], drift: [] };
+    for (const f of fields) {
+        const s = fieldStatus(snap, f);
+        result[s === 'missing' ? 'drift' : s].push(f);
+    }
+    // ツリーのフィールドが doc に書かれていなければ、それも doc とのずれ。
+    const notInDoc = tree.nodes.map((n) => n.field).filter((f) => !markdown.includes(f));
+    return { ...result, ...(notInDoc.length ? { notInDoc } : {}) };
+}
+
+// ---- 最新 (と 1 本前) のスナップショットで評価。snapshot.mjs の保存後フックと CLI の共通入口 ----
+export function runKpi({ ref = null, dir = SNAPSHOT_DIR, check = false } = {}) {
+    const tree = loadKpiTree();
+    const refs = listSnapshots(dir);
+    const path = ref ? resolveSnapshotRef(ref, { dir }) : refs[refs.length - 1]?.path;
+    if (!path) return { available: false, note: `${dir} にスナップショットが無い` };
+    const idx = refs.findIndex((r) => r.path === path);
+    const snap = loadSnapshot(path);
+    const prev = idx > 0 ? loadSnapshot(refs[idx - 1].path) : null;
+    const out = { available: true, ...evaluateKpiTree(tree, snap, prev) };
+    if (check) {
+        const docPath = resolve(ROOT, tree.doc);
+        out.fields = existsSync(docPath)
+            ? checkDocFields(readFileSync(docPath, 'utf8'), tree, snap)
+            : { error: `${tree.doc} が無い` };
+    }
+    return out;
+}
+
+const MARK = { 'on-track': '✓', behind: '✗', 'missing-data': '?', 'no-target': '·' };
+export function formatKpiLine(r) {
+    if (!r.available) return `KPI: skip (${r.note})`;
+    return `KPI: ` + Object.entries(r.counts).map(([k, v]) => `${k} ${v}`).join(' / ') +
+        (r.northStar ? ` · North Star ${r.northStar.value ?? '—'}${r.northStar.target != null ? ` (目標 ${r.northStar.op} ${r.northStar.target}: ${r.northStar.status})` : ''}` : '');
+}
+
+// ---- CLI ----
+async function main() {
+    const args = { ref: null, dir: SNAPSHOT_DIR, check: false };
+    const argv = process.argv.slice(2);
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--check') args.check = true;
+        else if (argv[i] === '--dir') args.dir = resolve(argv[++i]);
+        else args.ref = argv[i];
+    }
+    const r = runKpi(args);
+    const lines = [formatKpiLine(r)];
+    if (r.available) {
+        const depth = (n) => (n.parent ? 1 + depth(r.nodes.find((p) => p.id === n.parent)) : 0);
+        for (const n of r.nodes) {
+            lines.push(`  ${'  '.repeat(depth(n))}${MARK[n.status]} ${n.label}: ${n.value ?? '—'}` +
+                (n.target != null ? ` (目標 ${n.op} ${n.target})` : '') + (n.note ? ` — ${n.note}` : ''));
+        }
+        if (r.fields?.drift) {
+            lines.push(`フィールド照合: present ${r.fields.present.length} / unavailable ${r.fields.unavailable.length} / drift ${r.fields.drift.length}`);
+            for (const f of r.fields.drift) lines.push(`  ✗ drift: ${f} (ソースは取れているのにスナップショットに無い)`);
+            for (const f of r.fields.notInDoc ?? []) lines.push(`  ✗ kpi-tree.json の ${f} が doc に無い`);
+        } else if (r.fields?.error) {
+            lines.push(`フィールド照合: skip (${r.fields.error})`);
+        }
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify(r, null, 2) + '\n');
+    if (args.check && (r.fields?.drift?.length || r.fields?.notInDoc?.length)) process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
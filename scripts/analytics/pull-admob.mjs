@@ -4,6 +4,8 @@
 // BodyLapse は完全オフラインで、無料ユーザーの主収益が AdMob 広告 (Premium は広告非表示)。
 // 本スクリプトは AdMob API (admob.googleapis.com v1) の networkReport:generate で
 // 推定収益 / 表示回数 / クリック / eCPM を **集計値だけ** 日別に取り、日付付き JSON に落とす。
+// あわせて広告ユニット (AdMobService.swift のバナー/インタースティシャル配置)・フォーマット・国・アプリ別の内訳と、
+// mediationReport:generate の広告ソース別内訳を取る (campaigns.md の `channel: ads` 施策を配置単位で判定するため)。
 //
 // 認証: admob-auth.mjs が一度きり OAuth で保存した ~/.config/growth/admob.env の
 //   ADMOB_REFRESH_TOKEN から access token を都度発行する (サービスアカウント非対応のため)。
@@ -16,14 +18,18 @@
 //
 // 使い方:
 //   node scripts/analytics/pull-admob.mjs [days=30]
+//   node scripts/analytics/pull-admob.mjs --month 2026-10 | --week 2026-W42 | --from 2026-10-01 --to 2026-10-14  # 暦日の窓 (report-window.mjs)
+//   node scripts/analytics/pull-admob.mjs --no-breakdowns          # 日別合計だけ (内訳・メディエーションを取らない)
+//   node scripts/analytics/pull-admob.mjs --record <dir> | --replay <dir>   # HTTP 記録/再生 (http-replay.mjs)
 import { readFileSync, existsSync } from 'node:fs';
 import { homedir } from 'node:os';
 import { resolve } from 'node:path';
+import { httpFetch, isOffline, applyHttpFlags, readManifest, writeManifest } from './http-replay.mjs';
+import { resolveWindow, windowFromOpts, takeWindowFlag } from './report-window.mjs';
 
 const TOKEN_ENDPOINT = 'https://oauth2.googleapis.com/token';
 const ADMOB_BASE = 'https://admob.googleapis.com/v1';
 const ADMOB_ENV = resolve(homedir(), '.config/growth/admob.env');
-const DAY_MS = 24 * 60 * 60 * 1000;
 
 function parseEnvFile(path) {
     const kv = {};
@@ -38,6 +44,10 @@ function parseEnvFile(path) {
 
 // ---- 資格情報の解決 (env 優先 → ~/.config/growth/admob.env) ----
 function loadCreds() {
+    // replay 中はダミー値 (トークン交換のフォームボディはフィクスチャのキーに含まれない)。
+    if (isOffline()) {
+        return { clientId: 'REPLAY', clientSecret: 'REPLAY', refreshToken: 'REPLAY', publisherId: readManifest().admobPublisherId };
+    }
     const file = parseEnvFile(ADMOB_ENV);
     const pick = (k) => process.env[k] ?? file[k];
     return {
@@ -53,7 +63,7 @@ async function accessTokenFromRefresh({ clientId, clientSecret, refreshToken })
         client_id: clientId, client_secret: clientSecret,
         refresh_token: refreshToken, grant_type: 'refresh_token',
     });
-    const res = await fetch(TOKEN_ENDPOINT, {
+    const res = await httpFetch(TOKEN_ENDPOINT, {
         method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body,
     });
     if (!res.ok) throw new Error(`access token 発行失敗 HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
@@ -63,37 +73,113 @@ async function accessTokenFromRefresh({ clientId, clientSecret, refreshToken })
 // ---- パブリッシャーアカウント (pub-...) を解決 ----
 async function resolvePublisher(token, explicit) {
     if (explicit) return explicit;
-    const res = await fetch(`${ADMOB_BASE}/accounts`, { headers: { Authorization: `Bearer ${token}` } });
+    const res = await httpFetch(`${ADMOB_BASE}/accounts`, { headers: { Authorization: `Bearer ${token}` } });
     if (!res.ok) throw new Error(`accounts.list HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
     const acct = (await res.json()).account?.[0];
     if (!acct?.publisherId) throw new Error('AdMob アカウントが見つからない (このユーザーに AdMob 発行者権限が無い可能性)');
     return acct.publisherId;
 }
 
-function ymd(date) {
-    const d = new Date(date);
-    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+function ymd(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return { year, month, day: date };
 }
 
-// ---- networkReport:generate で日別の収益/表示/クリック/eCPM を取る ----
-async function fetchNetworkReport(token, publisherId, windowDays) {
-    const end = new Date(Date.now() - 1 * DAY_MS);              // 昨日まで (当日は未確定)
-    const start = new Date(Date.now() - windowDays * DAY_MS);
+const REPORT_METRICS = ['ESTIMATED_EARNINGS', 'IMPRESSIONS', 'CLICKS', 'AD_REQUESTS', 'MATCHED_REQUESTS'];
+// 内訳: 出力キー → ディメンション。1 ディメンション 1 リクエスト (DATE は付けない = 窓合計)。
+const BREAKDOWNS = [
+    ['byAdUnit', 'AD_UNIT'],
+    ['byFormat', 'FORMAT'],
+    ['byCountry', 'COUNTRY'],
+    ['byApp', 'APP'],
+];
+
+// ---- networkReport / mediationReport を generate (窓 = report-window の暦日 [from, to]。既定は昨日まで = 当日は未確定) ----
+// 日の境界は AdMob アカウントの報告タイムゾーン (AdMob 側の設定。API では変えられない)。
+async function generateReport(token, publisherId, kind, dimensions, window) {
     const spec = {
         reportSpec: {
-            dateRange: { startDate: ymd(start), endDate: ymd(end) },
-            dimensions: ['DATE'],
-            metrics: ['ESTIMATED_EARNINGS', 'IMPRESSIONS', 'CLICKS', 'AD_REQUESTS', 'MATCHED_REQUESTS'],
+            dateRange: { startDate: ymd(window.from), endDate: ymd(window.to) },
+            dimensions,
+            metrics: REPORT_METRICS,
         },
     };
-    const res = await fetch(`${ADMOB_BASE}/accounts/${publisherId}/networkReport:generate`, {
+    const res = await httpFetch(`${ADMOB_BASE}/accounts/${publisherId}/${kind}Report:generate`, {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
         body: JSON.stringify(spec),
     });
-    if (!res.ok) throw new Error(`networkReport HTTP ${res.status}: ${(await res.text()).slice(0, 300)}`);
-    // レスポンスは {header}/{row}/{footer} の JSON 配列 (streaming 風)。
-    const payload = await res.json();
+    if (!res.ok) throw new Error(`${kind}Report HTTP ${res.status}: ${(await res.text()).slice(0, 300)}`);
+    return res.json();
+}
+
+// ---- networkReport:generate で日別の収益/表示/クリック/eCPM を取る ----
+async function fetchNetworkReport(token, publisherId, window) {
+    return {
+        windowDays: window.days,
+        window: { from: window.from, to: window.to },
+        ...parseNetworkReportRows(await generateReport(token, publisherId, 'network', ['DATE'], window)),
+    };
+}
+
+// ---- 内訳 (広告ユニット/フォーマット/国/アプリ) + メディエーションの広告ソース別。個別の失敗は breakdownErrors に残して続行 ----
+async function fetchBreakdowns(token, publisherId, window) {
+    const out = {};
+    const errors = [];
+    for (const [key, dim] of BREAKDOWNS) {
+        try {
+            out[key] = parseBreakdownRows(await generateReport(token, publisherId, 'network', [dim], window), dim);
+        } catch (err) {
+            errors.push(`${dim}: ${err.message}`);
+        }
+    }
+    try {
+        out.mediation = { byAdSource: parseBreakdownRows(await generateReport(token, publisherId, 'mediation', ['AD_SOURCE'], window), 'AD_SOURCE') };
+    } catch (err) {
+        errors.push(`mediation: ${err.message}`);
+    }
+    return errors.length ? { ...out, breakdownErrors: errors } : out;
+}
+
+function rowMetrics(mets) {
+    return {
+        earningsMicros: Number(mets.ESTIMATED_EARNINGS?.microsValue ?? 0) || 0,
+        impressions: Number(mets.IMPRESSIONS?.integerValue ?? 0) || 0,
+        clicks: Number(mets.CLICKS?.integerValue ?? 0) || 0,
+        adRequests: Number(mets.AD_REQUESTS?.integerValue ?? 0) || 0,
+        matchedRequests: Number(mets.MATCHED_REQUESTS?.integerValue ?? 0) || 0,
+    };
+}
+
+// ---- 1 ディメンションの内訳レスポンスを { 値: { label?, estimatedEarnings, impressions, clicks, adRequests, matchedRequests, ecpm } } に ----
+// キーはディメンションの値 (広告ユニット ID・国コード等。実行間で安定)。表示名があれば label に残す。収益の多い順。
+export function parseBreakdownRows(payload, dimension) {
+    const rows = Array.isArray(payload) ? payload : [payload];
+    const acc = {};
+    for (const item of rows) {
+        const r = item.row;
+        if (!r) continue;
+        const dv = r.dimensionValues?.[dimension] ?? {};
+        const key = dv.value || '(none)';
+        const m = rowMetrics(r.metricValues ?? {});
+        const a = (acc[key] ??= { label: dv.displayLabel, earningsMicros: 0, impressions: 0, clicks: 0, adRequests: 0, matchedRequests: 0 });
+        for (const k of Object.keys(m)) a[k] += m[k];
+    }
+    const out = {};
+    for (const [key, a] of Object.entries(acc).sort((x, y) => y[1].earningsMicros - x[1].earningsMicros || x[0].localeCompare(y[0]))) {
+        const earnings = Math.round((a.earningsMicros / 1e6) * 100) / 100;
+        out[key] = {
+            ...(a.label && a.label !== key ? { label: a.label } : {}),
+            estimatedEarnings: earnings,
+            impressions: a.impressions, clicks: a.clicks, adRequests: a.adRequests, matchedRequests: a.matchedRequests,
+            ecpm: a.impressions > 0 ? Math.round((earnings / a.impressions) * 1000 * 100) / 100 : 0,
+        };
+    }
+    return out;
+}
+
+// ---- networkReport のレスポンス ({header}/{row}/{footer} の JSON 配列, streaming 風) を日別に集計 ----
+export function parseNetworkReportRows(payload) {
     const rows = Array.isArray(payload) ? payload : [payload];
     let currency = null;
     const byDay = [];
@@ -103,13 +189,8 @@ async function fetchNetworkReport(token, publisherId, windowDays) {
         const r = item.row;
         if (!r) continue;
         const dims = r.dimensionValues ?? {};
-        const mets = r.metricValues ?? {};
         const day = dims.DATE?.value; // "YYYYMMDD"
-        const eMicros = Number(mets.ESTIMATED_EARNINGS?.microsValue ?? 0) || 0;
-        const imp = Number(mets.IMPRESSIONS?.integerValue ?? 0) || 0;
-        const clk = Number(mets.CLICKS?.integerValue ?? 0) || 0;
-        const req = Number(mets.AD_REQUESTS?.integerValue ?? 0) || 0;
-        const matched = Number(mets.MATCHED_REQUESTS?.integerValue ?? 0) || 0;
+        const { earningsMicros: eMicros, impressions: imp, clicks: clk, adRequests: req, matchedRequests: matched } = rowMetrics(r.metricValues ?? {});
         earningsMicros += eMicros; impressions += imp; clicks += clk; adRequests += req; matchedRequests += matched;
         byDay.push({
             day: day ? `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}` : null,
@@ -122,13 +203,14 @@ async function fetchNetworkReport(token, publisherId, windowDays) {
     const ecpm = impressions > 0 ? Math.round((earnings / impressions) * 1000 * 100) / 100 : 0;
     const matchRate = adRequests > 0 ? Math.round((matchedRequests / adRequests) * 1000) / 10 : null;
     return {
-        currency: currency ?? 'unknown', windowDays, byDayJst: byDay,
+        currency: currency ?? 'unknown', byDayJst: byDay,
         totals: { estimatedEarnings: earnings, impressions, clicks, adRequests, matchedRequests, ecpm, matchRatePct: matchRate },
     };
 }
 
 export async function pullAdmob(opts = {}) {
-    const windowDays = opts.windowDays ?? 30;
+    const window = windowFromOpts(opts, 30);
+    const wantBreakdowns = opts.breakdowns ?? true;
     const creds = loadCreds();
 
     // 未認証ゲート: refresh token が無ければ best-effort スキップ (snapshot を止めない)。
@@ -144,8 +226,10 @@ export async function pullAdmob(opts = {}) {
     try {
         const token = await accessTokenFromRefresh(creds);
         const publisherId = await resolvePublisher(token, creds.publisherId);
-        const report = await fetchNetworkReport(token, publisherId, windowDays);
-        return { configured: true, source: 'admob', publisherId, ...report };
+        writeManifest({ admobPublisherId: publisherId });
+        const report = await fetchNetworkReport(token, publisherId, window);
+        const breakdowns = wantBreakdowns ? await fetchBreakdowns(token, publisherId, window) : {};
+        return { configured: true, source: 'admob', publisherId, ...report, ...breakdowns };
     } catch (err) {
         return { configured: false, source: 'admob', error: err.message };
     }
@@ -153,24 +237,32 @@ export async function pullAdmob(opts = {}) {
 
 // ---- CLI ----
 function parseArgs(argv) {
-    const args = { windowDays: 30 };
+    const args = {};
+    const windowSpec = { days: 30 };
     for (let i = 0; i < argv.length; i++) {
         const a = argv[i];
-        if (a === '--days') args.windowDays = Number(argv[++i]) || args.windowDays;
-        else if (/^\d+$/.test(a)) args.windowDays = Number(a);
+        const next = takeWindowFlag(argv, i, windowSpec);
+        if (next >= 0) i = next;
+        else if (a === '--no-breakdowns') args.breakdowns = false;
+        else if (/^\d+$/.test(a)) windowSpec.days = Number(a);
     }
+    args.window = resolveWindow(windowSpec);
     return args;
 }
 
 async function main() {
-    const args = parseArgs(process.argv.slice(2));
+    const args = parseArgs(applyHttpFlags(process.argv.slice(2)));
     const data = await pullAdmob(args);
-    const lines = [`[BodyLapse] AdMob 収集 (直近 ${args.windowDays} 日)`];
+    const lines = [`[BodyLapse] AdMob 収集 (${args.window.label}: ${args.window.from}〜${args.window.to})`];
     if (!data.configured) {
         lines.push(`  skip: ${data.error ?? data.note}`);
     } else {
         const t = data.totals ?? {};
         lines.push(`  推定収益: ${t.estimatedEarnings} ${data.currency} / 表示 ${t.impressions} / クリック ${t.clicks} / eCPM ${t.ecpm}`);
+        if (data.byAdUnit) {
+            lines.push(`  広告ユニット別: ${Object.entries(data.byAdUnit).map(([k, v]) => `${v.label ?? k} ${v.estimatedEarnings} (eCPM ${v.ecpm})`).join(' / ')}`);
+        }
+        if (data.breakdownErrors) lines.push(`  内訳の取得失敗: ${data.breakdownErrors.join(' / ')}`);
     }
     process.stderr.write(lines.join('\n') + '\n');
     process.stdout.write(JSON.stringify(data, null, 2) + '\n');
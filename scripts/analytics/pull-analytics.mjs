@@ -4,8 +4,11 @@
 // BodyLapse は完全オフライン設計 (UserDefaults + ファイルシステム、サーバ側 DB 無し)。
 // そのため「DL 以降の行動ファネル」の唯一の代替源が ASC の App Analytics Reports API。
 // 本スクリプトは Analytics Reports API (analyticsReportRequests → reports → instances → segments)
-// を **現行の共有 ASC キー (売上ロール) で実際に叩いて疎通を確認**し、取れる指標
-// (セッション / アクティブデバイス / インストール) だけを集計する調査込みの収集スクリプト。
+// を **現行の共有 ASC キー (売上ロール) で実際に叩いて疎通を確認**し、標準レポート
+// (App Store 発見/ページ表示・DL・セッション・インストール/削除・クラッシュ) をレポート別パーサで集計する。
+// 各レポートは日別系列と主要ディメンション (Source Type / Territory / App Version) 別の内訳を持ち、
+// セッションレポートの App Download Date から DL 日コホートの継続率 (D1/D7/D28) を出す。
+// Detailed 版のレポートがあれば Campaign 列 (App Store リンクの ct=) 別に表示・ページ表示・新規DL を集計する (campaigns)。
 //
 // 重要な性質 (Apple の設計):
 //   - Analytics Reports は **非同期・レポートリクエスト方式**。app ごとに一度 ONGOING の
@@ -15,6 +18,10 @@
 //     snapshot を止めない。次回以降の実行で instances が現れたら集計に移る。
 //   - キーのロールが Analytics を許可していない場合は 401/403 → configured:false + 理由。
 //
+// 資格情報・JWT・リトライ・ページネーションは asc-client.mjs (pull-appstore.mjs と共用)。
+// instance は DAILY/WEEKLY/MONTHLY を全ページ列挙し、各 instance の全 segment を落として、粗い行は期間ごと重複排除する (mergeInstanceRows)。
+// 解析済みの行は analytics/cache/asc-analytics/<instanceId>.json に置き、次回以降は segment を再ダウンロードしない。
+//
 // 設計原則 (pull-appstore.mjs / pull-supabase.mjs を踏襲):
 //   - LLM を使わない決定論スクリプト。資格情報やネットワークが無くても snapshot 全体を
 //     止めないよう、失敗は例外で止めず configured:false / pending / note に載せて best-effort。
@@ -28,116 +35,36 @@
 //
 // 使い方:
 //   node scripts/analytics/pull-analytics.mjs [days=30]           # 読み取りのみ (既定: 作成しない)
+//   node scripts/analytics/pull-analytics.mjs --month 2026-10 | --week 2026-W42 | --from 2026-10-01 --to 2026-10-14  # 暦日の窓 (report-window.mjs)
 //   node scripts/analytics/pull-analytics.mjs --create            # ONGOING リクエスト作成を試行 (Admin ロールキーが必要)
-import { readFileSync, existsSync } from 'node:fs';
+//   node scripts/analytics/pull-analytics.mjs --no-cache          # instance キャッシュを読まず segments を取り直す
+//   node scripts/analytics/pull-analytics.mjs --record <dir> | --replay <dir>  # HTTP 記録/再生 (POST 403 も記録される)
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { gunzipSync } from 'node:zlib';
-import { createPrivateKey, sign as cryptoSign } from 'node:crypto';
-import { homedir } from 'node:os';
 import { resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { httpFetch, httpMode, applyHttpFlags } from './http-replay.mjs';
+import { resolveWindow, windowFromOpts, takeWindowFlag, addDays, eachDay, daysBetween } from './report-window.mjs';
+import { APP_LABEL, DEFAULT_BUNDLE_ID, DEFAULT_APP_ID, loadCreds, createAscClient, errDetail, systemicError, lookupApp } from './asc-client.mjs';
 
-// ================= 対象アプリ (このリポのコピー固有) =================
-const APP_LABEL = 'BodyLapse';
-const DEFAULT_BUNDLE_ID = 'com.J.BodyLapse';
-const DEFAULT_APP_ID = '6747956750';
-// ====================================================================
-
-const ASC_AUD = 'appstoreconnect-v1';
-const ASC_BASE = 'https://api.appstoreconnect.apple.com';
-const DAY_MS = 24 * 60 * 60 * 1000;
-
-// ---- 資格情報の読み込み (pull-appstore.mjs と同型: env → ~/.config/growth/asc.env → secrets/.env) ----
-function parseEnvFile(path) {
-    const kv = {};
-    if (!existsSync(path)) return kv;
-    for (const line of readFileSync(path, 'utf8').split('\n')) {
-        if (line.trim().startsWith('#')) continue;
-        const m = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
-        if (m) kv[m[1]] = m[2].replace(/^["']|["']$/g, '');
-    }
-    return kv;
-}
-function expandHome(p) {
-    return p && p.startsWith('~') ? resolve(homedir(), p.slice(2)) : p;
-}
-function loadCreds() {
-    const scriptDir = dirname(fileURLToPath(import.meta.url));
-    const repoSecrets = parseEnvFile(resolve(scriptDir, '../../secrets/.env'));
-    const shared = parseEnvFile(resolve(homedir(), '.config/growth/asc.env'));
-    const pick = (k) => process.env[k] ?? shared[k] ?? repoSecrets[k];
-    const keyId = pick('ASC_KEY_ID');
-    const issuerId = pick('ASC_ISSUER_ID');
-    const keyPath = expandHome(pick('ASC_KEY_PATH') ?? `~/.appstoreconnect/private_keys/AuthKey_${keyId}.p8`);
-    if (!keyId || !issuerId) {
-        throw new Error('ASC_KEY_ID / ASC_ISSUER_ID 未設定 (env / secrets/.env / ~/.config/growth/asc.env のいずれかに置く)');
-    }
-    if (!existsSync(keyPath)) throw new Error(`ASC 秘密鍵 (.p8) が見つからない: ${keyPath}`);
-    return { keyId, issuerId, privateKeyPem: readFileSync(keyPath, 'utf8') };
-}
-
-// ---- JWT (ES256) を Node 標準 crypto で自己署名 ----
-function b64url(input) {
-    return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-}
-function makeJwt(creds) {
-    const header = { alg: 'ES256', kid: creds.keyId, typ: 'JWT' };
-    const now = Math.floor(Date.now() / 1000);
-    const payload = { iss: creds.issuerId, iat: now, exp: now + 20 * 60, aud: ASC_AUD };
-    const signingInput = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(payload))}`;
-    const key = createPrivateKey(creds.privateKeyPem);
-    const sig = cryptoSign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
-    return `${signingInput}.${b64url(sig)}`;
-}
-
-async function ascGet(jwt, path, accept) {
-    return fetch(path.startsWith('http') ? path : `${ASC_BASE}${path}`, {
-        headers: { Authorization: `Bearer ${jwt}`, ...(accept ? { Accept: accept } : {}) },
-    });
-}
-async function ascPost(jwt, path, body) {
-    return fetch(`${ASC_BASE}${path}`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${jwt}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-    });
-}
+const CACHE_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/cache/asc-analytics');
 
 // ---- 対象アプリの numeric id を bundleId から解決 ----
-async function resolveAppId(jwt, bundleId) {
-    try {
-        const q = new URLSearchParams({ 'filter[bundleId]': bundleId, 'fields[apps]': 'name,bundleId,sku' });
-        const res = await ascGet(jwt, `/v1/apps?${q}`);
-        if (res.ok) {
-            const a = (await res.json()).data?.[0];
-            if (a) return { id: a.id, name: a.attributes?.name, bundleId: a.attributes?.bundleId, sku: a.attributes?.sku };
-        }
-    } catch { /* best-effort */ }
-    return { id: DEFAULT_APP_ID, bundleId, note: 'bundleId ルックアップ失敗。フォールバック app id を使用' };
-}
-
-// ---- エラー詳細の抽出 ----
-async function errDetail(res) {
-    try {
-        const j = await res.json();
-        const e = j.errors?.[0];
-        return e ? `${e.title ?? ''}: ${e.detail ?? ''}`.trim() : JSON.stringify(j).slice(0, 200);
-    } catch {
-        try { return (await res.text()).slice(0, 200); } catch { return ''; }
-    }
+async function resolveAppId(client, bundleId) {
+    return (await lookupApp(client, bundleId))
+        ?? { id: DEFAULT_APP_ID, bundleId, note: 'bundleId ルックアップ失敗。フォールバック app id を使用' };
 }
 
 // ---- ONGOING レポートリクエストの取得 (無ければ null) ----
 // 返り値: { status, requests?: [{id, accessType, stoppedDueToInactivity}], detail? }
-async function listReportRequests(jwt, appId) {
+async function listReportRequests(client, appId) {
     const q = new URLSearchParams({
         'filter[accessType]': 'ONGOING',
         'fields[analyticsReportRequests]': 'accessType,stoppedDueToInactivity',
         limit: '50',
     });
-    const res = await ascGet(jwt, `/v1/apps/${appId}/analyticsReportRequests?${q}`);
-    if (res.status === 401 || res.status === 403) {
-        return { status: res.status, systemic: true, detail: await errDetail(res) };
-    }
+    const res = await client.get(`/v1/apps/${appId}/analyticsReportRequests?${q}`);
+    if (await systemicError(res)) return { status: res.status, systemic: true, detail: await errDetail(res) };
     if (!res.ok) return { status: res.status, detail: await errDetail(res) };
     const json = await res.json();
     return {
@@ -151,7 +78,7 @@ async function listReportRequests(jwt, appId) {
 }
 
 // ---- ONGOING レポートリクエストを新規作成 (初回セットアップ。以後データ生成が始まる) ----
-async function createReportRequest(jwt, appId) {
+async function createReportRequest(client, appId) {
     const body = {
         data: {
             type: 'analyticsReportRequests',
@@ -159,7 +86,7 @@ async function createReportRequest(jwt, appId) {
             relationships: { app: { data: { type: 'apps', id: String(appId) } } },
         },
     };
-    const res = await ascPost(jwt, '/v1/analyticsReportRequests', body);
+    const res = await client.post('/v1/analyticsReportRequests', body);
     if (res.status === 201) {
         const id = (await res.json()).data?.id;
         return { ok: true, id };
@@ -170,87 +97,359 @@ async function createReportRequest(jwt, appId) {
 }
 
 // ---- レポートリクエスト配下の利用可能レポート一覧 (name/category) ----
-async function listReports(jwt, requestId) {
-    const reports = [];
-    let url = `/v1/analyticsReportRequests/${requestId}/reports?${new URLSearchParams({
+async function listReports(client, requestId) {
+    // ページネーション (links.next) は asc-client の getAll が辿る。
+    const r = await client.getAll(`/v1/analyticsReportRequests/${requestId}/reports?${new URLSearchParams({
         'fields[analyticsReports]': 'name,category',
         limit: '200',
-    })}`;
-    // ページネーション (links.next)。
-    for (let guard = 0; url && guard < 10; guard++) {
-        const res = await ascGet(jwt, url);
-        if (!res.ok) return { status: res.status, detail: await errDetail(res), reports };
-        const json = await res.json();
-        for (const r of json.data ?? []) {
-            reports.push({ id: r.id, name: r.attributes?.name, category: r.attributes?.category });
-        }
-        url = json.links?.next ?? null;
-    }
-    return { status: 200, reports };
+    })}`);
+    const reports = r.data.map((x) => ({ id: x.id, name: x.attributes?.name, category: x.attributes?.category }));
+    return r.status === 200 ? { status: 200, reports } : { status: r.status, detail: r.detail, reports };
 }
 
-// ---- 特定レポートの DAILY instances を新しい順に取得 ----
-async function listInstances(jwt, reportId) {
-    const q = new URLSearchParams({ 'filter[granularity]': 'DAILY', limit: '200' });
-    const res = await ascGet(jwt, `/v1/analyticsReports/${reportId}/instances?${q}`);
-    if (!res.ok) return { status: res.status, detail: await errDetail(res), instances: [] };
-    const json = await res.json();
-    const instances = (json.data ?? [])
-        .map((i) => ({ id: i.id, processingDate: i.attributes?.processingDate, granularity: i.attributes?.granularity }))
+// ---- 特定レポートの instances (granularity 別) を新しい順に取得。links.next を辿って全ページ ----
+async function listInstances(client, reportId, granularity = 'DAILY') {
+    const q = new URLSearchParams({ 'filter[granularity]': granularity, limit: '200' });
+    const r = await client.getAll(`/v1/analyticsReports/${reportId}/instances?${q}`);
+    const instances = r.data
+        .map((i) => ({ id: i.id, processingDate: i.attributes?.processingDate, granularity: i.attributes?.granularity ?? granularity }))
         .filter((i) => i.processingDate)
         .sort((a, b) => b.processingDate.localeCompare(a.processingDate));
-    return { status: 200, instances };
+    return r.status === 200 ? { status: 200, instances } : { status: r.status, detail: r.detail, instances };
 }
 
-// ---- instance の segments を取得しダウンロード → gzip 解凍 → CSV 行配列 ----
-async function fetchInstanceRows(jwt, instanceId) {
-    const res = await ascGet(jwt, `/v1/analyticsReportInstances/${instanceId}/segments?${new URLSearchParams({ limit: '50' })}`);
-    if (!res.ok) return { status: res.status, detail: await errDetail(res), rows: [] };
-    const json = await res.json();
+// ---- instance の全 segments (全ページ) をダウンロード → gzip 解凍 → TSV 行配列 ----
+// 1 つでも落とせなかった segment があれば complete:false (部分的な行はキャッシュしない)。
+async function fetchInstanceRows(client, instanceId) {
+    const r = await client.getAll(`/v1/analyticsReportInstances/${instanceId}/segments?${new URLSearchParams({ limit: '200' })}`);
+    if (r.status !== 200) return { status: r.status, detail: r.detail, header: null, rows: [], complete: false };
     const rows = [];
-    let header = null;
-    for (const seg of json.data ?? []) {
+    let header = null, complete = true, segments = 0;
+    for (const seg of r.data) {
         const dlUrl = seg.attributes?.url;
-        if (!dlUrl) continue;
+        if (!dlUrl) { complete = false; continue; }
         // segment の url は署名付き S3。Authorization ヘッダは付けない (付けると署名衝突)。
-        const dl = await fetch(dlUrl);
-        if (!dl.ok) continue;
+        const dl = await httpFetch(dlUrl);
+        if (!dl.ok) { complete = false; continue; }
+        segments++;
         const buf = Buffer.from(await dl.arrayBuffer());
         let text;
         try { text = gunzipSync(buf).toString('utf8'); } catch { text = buf.toString('utf8'); }
-        // Apple の Analytics レポートは TSV。
+        // Apple の Analytics レポートは TSV。segment ごとにヘッダ行が付く。
         const lines = text.split('\n').filter((l) => l.trim().length > 0);
         if (lines.length < 2) continue;
         if (!header) header = lines[0].split('\t');
         for (const line of lines.slice(1)) rows.push(line.split('\t'));
     }
-    return { status: 200, header, rows };
+    return { status: 200, header, rows, complete, segments };
 }
 
-// ---- TSV 行から数値カラムを合計 (カラム名は candidates のいずれか) ----
-function sumColumn(header, rows, candidates) {
-    if (!header) return null;
-    const idx = header.findIndex((h) => candidates.some((c) => h.trim().toLowerCase() === c.toLowerCase()));
-    if (idx < 0) return null;
-    let total = 0;
-    for (const cols of rows) total += Number((cols[idx] ?? '0').replace(/,/g, '')) || 0;
-    return total;
+// ---- instance 単位のローカルキャッシュ (解析済み行)。instance は生成後に変わらないので期限なし ----
+// record/replay 中は読み書きしない (pull-appstore の日次キャッシュと同じ方針)。
+function instanceCachePath(instanceId) {
+    return resolve(CACHE_DIR, `${instanceId.replace(/[^A-Za-z0-9._-]+/g, '_')}.json`);
+}
+async function cachedInstanceRows(client, instance, useCache) {
+    const live = httpMode().mode === 'live';
+    const p = instanceCachePath(instance.id);
+    if (live && useCache && existsSync(p)) {
+        try { return { ...JSON.parse(readFileSync(p, 'utf8')), cached: true }; } catch { /* 壊れたキャッシュは取り直す */ }
+    }
+    const data = await fetchInstanceRows(client, instance.id);
+    if (live && data.complete && data.header) {
+        try {
+            mkdirSync(CACHE_DIR, { recursive: true });
+            writeFileSync(p, JSON.stringify({ instanceId: instance.id, processingDate: instance.processingDate,
+                granularity: instance.granularity, header: data.header, rows: data.rows }) + '\n');
+        } catch { /* キャッシュは最適化にすぎない */ }
+    }
+    return data;
+}
+
+// ---- 1 レポートの窓内の行を、全 granularity の instances から重複なく集める ----
+// 行は Date 単位で扱う (同じ Date にディメンション違いの行が複数ある)。
+//   - 同じ granularity 内で同じ Date が複数 instance にあれば processingDate が新しい方を採用 (再処理分で置き換え)。
+//   - 粗い行 (WEEKLY / MONTHLY) は Date から 1 期間 ([Date, Date+7日) / その暦月) の合計。細かい方 (DAILY > WEEKLY > MONTHLY)
+//     から順に埋め、粗い行は期間が丸ごと窓 [from, to] の中にあり、かつ期間内のどの日もまだ細かい行で埋まっていないときだけ採用する。
+//     一部でも重なる・窓をはみ出す粗い行は捨て (二重計上・窓外の日の混入を避ける)、その期間で結局どの行にも入らなかった窓内の日を
+//     meta.gaps に残す (合計はその日ぶん欠ける)。
+// これで metrics.*.total は ASC Sales / AdMob と同じ期間の合計になる (足りない日は gaps で分かる)。
+// 採った粗い行は periods ([{ granularity, from, to, days }]) にも残す。行の Date は期間の初日なので、日別系列 (byDay) に混ぜると
+// 1 期間ぶんの合計がその日に立ってしまう。parseReportRows / parseRetentionCohorts はこれで粗い行を日別から外す。
+const GRANULARITIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// ---- 粗い行の期間の最終日 (両端含む) ----
+function periodEnd(granularity, day) {
+    if (granularity === 'WEEKLY') return addDays(day, 6);
+    if (granularity === 'MONTHLY') {
+        const [y, m] = day.split('-').map(Number);
+        return new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+    }
+    return day;
+}
+
+// ---- instances ([{ granularity, processingDate, header, rows }]) を窓で重複なく結合 (ネットワーク無しで確かめられるよう純関数。check-fixtures.mjs が合成ケースを通す) ----
+export function mergeInstanceRows(instances, window) {
+    const rows = [];
+    const taken = new Set(); // 採用した行で埋まった日
+    const rejected = [];     // 捨てた粗い期間 (gaps の候補)
+    const periods = [];      // 採った粗い期間
+    let rowsDeduped = 0;
+    for (const g of GRANULARITIES) {
+        // Date → { processingDate, rows } (同じ granularity 内は newest-wins)
+        const byDate = new Map();
+        for (const inst of instances.filter((x) => x.granularity === g && x.header)) {
+            const iDate = inst.header.findIndex((h) => h.trim().toLowerCase() === 'date');
+            for (const cols of inst.rows) {
+                const d = (cols[iDate] ?? '').trim().slice(0, 10);
+                const cur = byDate.get(d);
+                if (!cur || cur.processingDate < inst.processingDate) {
+                    if (cur) rowsDeduped += cur.rows.length;
+                    byDate.set(d, { processingDate: inst.processingDate, rows: [cols] });
+                } else if (cur.processingDate === inst.processingDate) cur.rows.push(cols);
+                else rowsDeduped++;
+            }
+        }
+        const covered = [];
+        for (const [d, hit] of [...byDate].sort((a, b) => (a[0] < b[0] ? -1 : 1))) {
+            const end = periodEnd(g, d);
+            if (end < window.from || d > window.to) continue; // 窓と重ならない期間
+            const days = eachDay(d, end);
+            let reason = null;
+            if (d < window.from || end > window.to) reason = '期間が窓をはみ出す';
+            else if (days.some((x) => taken.has(x))) reason = '細かい granularity と重なる';
+            if (reason) {
+                rowsDeduped += hit.rows.length;
+                if (g !== 'DAILY') rejected.push({ granularity: g, from: d, to: end, reason });
+                continue;
+            }
+            rows.push(...hit.rows);
+            covered.push(...days);
+            if (g !== 'DAILY') periods.push({ granularity: g, from: d, to: end, days: days.length });
+        }
+        for (const d of covered) taken.add(d);
+    }
+    const gaps = rejected
+        .map((r) => ({ ...r, missingDays: eachDay(r.from < window.from ? window.from : r.from, r.to > window.to ? window.to : r.to).filter((d) => !taken.has(d)) }))
+        .filter((r) => r.missingDays.length);
+    return { rows, periods, rowsDeduped, gaps };
+}
+
+async function collectReportRows(client, reportId, window, useCache) {
+    let header = null, latestProcessingDate = null;
+    const meta = { instances: 0, fromCache: 0, segments: 0, incomplete: 0, rows: 0, rowsDeduped: 0 };
+    const loaded = [];
+    for (const g of GRANULARITIES) {
+        const inst = await listInstances(client, reportId, g);
+        // processingDate は期間の終わり以降に付くので、窓の頭より前に処理された instance は窓と重ならない。
+        for (const i of inst.instances.filter((x) => x.processingDate >= window.from)) {
+            const data = await cachedInstanceRows(client, i, useCache);
+            meta.instances++;
+            if (data.cached) meta.fromCache++;
+            meta.segments += data.segments ?? 0;
+            if (data.complete === false) meta.incomplete++;
+            if (!data.header) continue;
+            header ??= data.header;
+            if (!latestProcessingDate || i.processingDate > latestProcessingDate) latestProcessingDate = i.processingDate;
+            loaded.push({ granularity: g, processingDate: i.processingDate, header: data.header, rows: data.rows });
+        }
+    }
+    const merged = mergeInstanceRows(loaded, window);
+    meta.rows = merged.rows.length;
+    meta.rowsDeduped = merged.rowsDeduped;
+    if (merged.gaps.length) meta.gaps = merged.gaps;
+    return { header, rows: merged.rows, periods: merged.periods, latestProcessingDate, meta };
 }
 
-// 集計したいレポートの名前パターン (Apple の標準レポート名は将来変わりうるため regex で緩く一致)。
-const WANTED = [
-    { key: 'sessions', re: /session/i, valueCols: ['Sessions', 'Total Sessions'] },
-    { key: 'activeDevices', re: /active devices|active last/i, valueCols: ['Active Devices', 'Unique Devices'] },
-    { key: 'installs', re: /install/i, valueCols: ['Installations', 'Total Downloads', 'Installs'] },
+// ---- レポート別パーサの定義 (Apple の標準レポート名は将来変わりうるため regex で緩く一致) ----
+// values: 指標名 → 候補カラム名。eventCol があるレポートは、その列の値 (Impression / Install など) ごとに
+// 指標を分ける (先頭の value は `<event>`、以降は `<event><Value>` の名前になる。例: pageView / pageViewUniqueCounts)。
+// Unique 系 (Unique Devices/Counts) は行の単純合計 = ディメンションをまたいだ重複を含む上限近似。
+export const REPORT_SPECS = [
+    { key: 'discovery', re: /^App Store Discovery and Engagement(?! Detailed)/i, eventCol: 'Event',
+        values: { counts: ['Counts'], uniqueCounts: ['Unique Counts'] } },
+    { key: 'downloads', re: /^App Downloads(?! Detailed)/i, eventCol: 'Download Type', values: { counts: ['Counts'] } },
+    { key: 'sessions', re: /^App Sessions/i,
+        values: { sessions: ['Sessions'], totalSessionDuration: ['Total Session Duration'], uniqueDevices: ['Unique Devices'] } },
+    { key: 'installs', re: /^App Installation and Deletion/i, eventCol: 'Event',
+        values: { counts: ['Counts'], uniqueDevices: ['Unique Devices'] } },
+    { key: 'crashes', re: /^App Crashes/i, values: { crashes: ['Crashes'], uniqueDevices: ['Unique Devices'] } },
 ];
+const DIMENSIONS = [
+    ['bySourceType', 'Source Type'],
+    ['byTerritory', 'Territory'],
+    ['byAppVersion', 'App Version'],
+];
+// Detailed 版のレポートだけが Campaign 列 (App Store リンクの ct= トークン) を持つ。標準集計とは別に ct 別に集計する。
+// events: eventCol の値 (camel 化) → 出力する指標名。ここに無いイベント (更新・再DL など) は数えない。
+const CAMPAIGN_SPECS = [
+    { key: 'discovery', re: /^App Store Discovery and Engagement Detailed/i, eventCol: 'Event',
+        events: { impression: 'impressions', pageView: 'pageViews' } },
+    { key: 'downloads', re: /^App Downloads Detailed/i, eventCol: 'Download Type',
+        events: { firstTimeDownload: 'firstDownloads' } },
+];
+const CAMPAIGN_METRICS = ['impressions', 'pageViews', 'firstDownloads'];
+const DIM_TOP_N = 25; // ディメンション値はこの数まで。残りは '(other)' に畳む (Territory が 170 か国並ばないように)
+const RETENTION_DAYS = [1, 7, 28];
+
+function camel(s) {
+    return s.trim().toLowerCase().replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase()).replace(/[^a-zA-Z0-9]/g, '');
+}
+function colIndex(header, candidates) {
+    return header.findIndex((h) => candidates.some((c) => h.trim().toLowerCase() === c.toLowerCase()));
+}
+function addInto(into, metrics) {
+    for (const [k, v] of Object.entries(metrics)) into[k] = (into[k] ?? 0) + v;
+    return into;
+}
+// 先頭指標の多い順に並べ、DIM_TOP_N を超えた値は '(other)' に合算する。
+function topDimension(map, leadKey) {
+    const entries = Object.entries(map).sort((a, b) => (b[1][leadKey] ?? 0) - (a[1][leadKey] ?? 0) || a[0].localeCompare(b[0]));
+    const out = Object.fromEntries(entries.slice(0, DIM_TOP_N));
+    for (const [, v] of entries.slice(DIM_TOP_N)) addInto((out['(other)'] ??= {}), v);
+    return out;
+}
+
+// ---- 1 レポートぶんの行 (TSV を split 済み) を日別系列・合計・ディメンション別に集計 ----
+// periods (mergeInstanceRows の採った粗い期間) の初日を Date に持つ行は byDay ではなく byPeriod に入れる (合計とディメンション別には入る)。
+// 日別の消費者 (daysWithData・ダッシュボードの日別系列) は byDay だけを見ればよい。
+export function parseReportRows(spec, header, rows, periods = []) {
+    if (!header) return null;
+    const iDate = colIndex(header, ['Date']);
+    const iEvent = spec.eventCol ? colIndex(header, [spec.eventCol]) : -1;
+    const valueIdx = Object.entries(spec.values)
+        .map(([k, cands]) => [k, colIndex(header, cands)])
+        .filter(([, idx]) => idx >= 0);
+    if (iDate < 0 || valueIdx.length === 0) return null;
+    const dimIdx = DIMENSIONS.map(([key, name]) => [key, colIndex(header, [name])]).filter(([, idx]) => idx >= 0);
+
+    const periodByStart = new Map(periods.map((p) => [p.from, p]));
+    const byDay = {}, byPeriod = {}, totals = {};
+    const dims = Object.fromEntries(dimIdx.map(([key]) => [key, {}]));
+    for (const cols of rows) {
+        const day = (cols[iDate] ?? '').trim().slice(0, 10);
+        if (!day) continue;
+        const period = periodByStart.get(day);
+        const prefix = iEvent >= 0 ? camel(cols[iEvent] ?? '') || 'unknown' : null;
+        const metrics = {};
+        valueIdx.forEach(([k, idx], n) => {
+            const name = prefix ? (n === 0 ? prefix : prefix + k[0].toUpperCase() + k.slice(1)) : k;
+            metrics[name] = (metrics[name] ?? 0) + (Number((cols[idx] ?? '0').replace(/,/g, '')) || 0);
+        });
+        if (period) addInto((byPeriod[day] ??= { granularity: period.granularity, from: period.from, to: period.to, days: period.days }), metrics);
+        else addInto((byDay[day] ??= {}), metrics);
+        addInto(totals, metrics);
+        for (const [key, idx] of dimIdx) {
+            const v = (cols[idx] ?? '').trim() || '(none)';
+            addInto((dims[key][v] ??= {}), metrics);
+        }
+    }
+    const leadKey = Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0];
+    const out = {
+        byDay: Object.keys(byDay).sort().map((day) => ({ day, ...byDay[day] })),
+        ...(Object.keys(byPeriod).length ? { byPeriod: Object.keys(byPeriod).sort().map((d) => byPeriod[d]) } : {}),
+        totals,
+    };
+    for (const [key] of dimIdx) out[key] = topDimension(dims[key], leadKey);
+    return out;
+}
+
+// ---- Detailed レポートの行を ct トークン別 × Source Type 別に積む (into を複数レポートで共有) ----
+// Campaign 列が空の行 (リンク経由でない流入) は数えない。
+export function parseCampaignRows(spec, header, rows, into = {}) {
+    if (!header) return into;
+    const iCampaign = colIndex(header, ['Campaign']);
+    const iEvent = colIndex(header, [spec.eventCol]);
+    const iCount = colIndex(header, ['Counts']);
+    const iSource = colIndex(header, ['Source Type']);
+    if (iCampaign < 0 || iEvent < 0 || iCount < 0) return into;
+    for (const cols of rows) {
+        const token = (cols[iCampaign] ?? '').trim();
+        const metric = spec.events[camel(cols[iEvent] ?? '')];
+        if (!token || !metric) continue;
+        const n = Number((cols[iCount] ?? '0').replace(/,/g, '')) || 0;
+        const c = (into[token] ??= { ...Object.fromEntries(CAMPAIGN_METRICS.map((m) => [m, 0])), bySourceType: {} });
+        c[metric] += n;
+        const src = iSource >= 0 ? (cols[iSource] ?? '').trim() || '(none)' : '(none)';
+        addInto((c.bySourceType[src] ??= {}), { [metric]: n });
+    }
+    return into;
+}
+
+// ---- セッションレポート (App Download Date 列あり) から DL 日コホートの継続率 ----
+// コホートの母数 = DL 当日 (day 0) にセッションがあった端末数。dN = DL から N 日後にセッションがあった端末数。
+// 最終データ日から見て N 日経っていないコホートの dN は null (未到来を 0 と混同しない)。
+// 粗い行 (periods の初日を Date に持つ行) は期間の合計で「その日にセッションがあった端末数」ではないので使わない。
+export function parseRetentionCohorts(header, rows, periods = []) {
+    if (!header) return null;
+    const iDate = colIndex(header, ['Date']);
+    const iDl = colIndex(header, ['App Download Date']);
+    const iDev = colIndex(header, ['Unique Devices']);
+    if (iDate < 0 || iDl < 0 || iDev < 0) return null;
+    const coarseStarts = new Set(periods.map((p) => p.from));
+    const cohorts = {};
+    let lastDay = null;
+    for (const cols of rows) {
+        const day = (cols[iDate] ?? '').trim().slice(0, 10);
+        const dl = (cols[iDl] ?? '').trim().slice(0, 10);
+        if (!day || coarseStarts.has(day) || !/^\d{4}-\d{2}-\d{2}$/.test(dl)) continue;
+        const age = daysBetween(dl, day) - 1;
+        if (!(age >= 0)) continue;
+        const c = (cohorts[dl] ??= {});
+        c[age] = (c[age] ?? 0) + (Number((cols[iDev] ?? '0').replace(/,/g, '')) || 0);
+        if (!lastDay || day > lastDay) lastDay = day;
+    }
+    const list = [];
+    const avg = Object.fromEntries(RETENTION_DAYS.map((n) => [`d${n}`, { base: 0, retained: 0 }]));
+    for (const dl of Object.keys(cohorts).sort()) {
+        const c = cohorts[dl];
+        const size = c[0] ?? 0;
+        if (!size) continue;
+        const maxAge = daysBetween(dl, lastDay) - 1;
+        const row = { downloadDate: dl, size };
+        for (const n of RETENTION_DAYS) {
+            if (maxAge < n) { row[`d${n}`] = null; continue; }
+            row[`d${n}`] = Math.round(((c[n] ?? 0) / size) * 1000) / 1000;
+            avg[`d${n}`].base += size;
+            avg[`d${n}`].retained += c[n] ?? 0;
+        }
+        list.push(row);
+    }
+    return {
+        basis: 'App Sessions: Unique Devices × App Download Date (day 0 の端末数を母数)',
+        cohorts: list,
+        // 母数で重み付けした平均 (小さいコホートに引っ張られないように)。
+        average: Object.fromEntries(Object.entries(avg).map(([k, v]) => [k, v.base ? Math.round((v.retained / v.base) * 1000) / 1000 : null])),
+    };
+}
+
+// ---- 従来の metrics.{sessions, activeDevices, installs} をレポート別の集計から作る (KPI ツリーの参照先を保つ) ----
+// daysWithData = 日別の行がある日数、daysCovered = それに粗い期間の日数を足した、total が覆っている日数。
+function summaryMetrics(reports) {
+    const metrics = {};
+    const put = (key, report, field) => {
+        const r = reports[report];
+        if (!r || r.totals[field] == null) return;
+        const daysCovered = r.byDay.length + (r.byPeriod ?? []).reduce((s, p) => s + p.days, 0);
+        metrics[key] = { total: r.totals[field], daysWithData: r.byDay.length, daysCovered, latestProcessingDate: r.latestProcessingDate };
+    };
+    put('sessions', 'sessions', 'sessions');
+    put('activeDevices', 'sessions', 'uniqueDevices');
+    put('installs', 'installs', 'install');
+    put('pageViews', 'discovery', 'pageView');
+    put('impressions', 'discovery', 'impression');
+    put('crashes', 'crashes', 'crashes');
+    return metrics;
+}
 
 export async function pullAnalytics(opts = {}) {
-    const windowDays = opts.windowDays ?? 30;
+    const window = windowFromOpts(opts, 30);
     const bundleId = opts.bundleId ?? DEFAULT_BUNDLE_ID;
     // 既定は作成を試みない (weekly snapshot が毎回 POST 403 を叩かないように)。
     // 実測 (2026-07): 現行の共有キー=売上ロールは GET (読み取り) 200 だが POST (作成) 403。
     // ONGOING リクエストの作成には Admin / App Manager ロールが要る。--create で明示的に試行できる。
     const autoCreate = opts.autoCreate ?? false;
+    const useCache = opts.cache ?? true;
 
     let creds;
     try {
@@ -260,13 +459,13 @@ export async function pullAnalytics(opts = {}) {
     }
 
     try {
-        const jwt = makeJwt(creds);
-        const app = await resolveAppId(jwt, bundleId);
+        const client = createAscClient(creds);
+        const app = await resolveAppId(client, bundleId);
         const appId = opts.appId ?? app.id;
         const base = { source: 'asc-app-analytics', app: { label: APP_LABEL, ...app } };
 
         // 1. ONGOING レポートリクエストの有無を確認 (= このキーで Analytics API が叩けるかの疎通判定)。
-        let lr = await listReportRequests(jwt, appId);
+        let lr = await listReportRequests(client, appId);
         if (lr.systemic) {
             // 401/403 = キーのロールが Analytics を許可していない。ここが可否判定の核心。
             return {
@@ -295,7 +494,7 @@ export async function pullAnalytics(opts = {}) {
                         '有効化後は以後この同じキーで instances を読める見込み (読み取りは疎通済み)。',
                 };
             }
-            const created = await createReportRequest(jwt, appId);
+            const created = await createReportRequest(client, appId);
             if (created.ok) {
                 return {
                     ...base, configured: true, accessible: true, pending: true, reportRequestId: created.id,
@@ -304,7 +503,7 @@ export async function pullAnalytics(opts = {}) {
             }
             if (created.conflict) {
                 // 競合 = 既に存在。再取得して続行。
-                lr = await listReportRequests(jwt, appId);
+                lr = await listReportRequests(client, appId);
                 requests = lr.requests ?? [];
             } else {
                 return {
@@ -322,7 +521,7 @@ export async function pullAnalytics(opts = {}) {
         const requestId = requests[0].id;
 
         // 3. 利用可能レポート一覧を取得。空 = まだ生成中 (pending)。
-        const rep = await listReports(jwt, requestId);
+        const rep = await listReports(client, requestId);
         const catalog = (rep.reports ?? []).map((r) => ({ name: r.name, category: r.category }));
         if (!rep.reports || rep.reports.length === 0) {
             return {
@@ -335,29 +534,38 @@ export async function pullAnalytics(opts = {}) {
             };
         }
 
-        // 4. 欲しい指標のレポートを名前パターンで拾い、最新 DAILY instance の segments を集計。
-        const since = new Date(Date.now() - windowDays * DAY_MS).toISOString().slice(0, 10);
-        const metrics = {};
+        // 4. 標準レポートを名前パターンで拾い、窓内の DAILY instance の segments をレポート別パーサで集計。
+        const reports = {};
         const fetched = [];
-        for (const want of WANTED) {
-            const report = rep.reports.find((r) => want.re.test(r.name ?? ''));
+        let retention = null;
+        for (const spec of REPORT_SPECS) {
+            const report = rep.reports.find((r) => spec.re.test(r.name ?? ''));
             if (!report) continue;
-            const inst = await listInstances(jwt, report.id);
-            const recent = (inst.instances ?? []).filter((i) => i.processingDate >= since);
-            if (recent.length === 0) continue;
-            let total = 0, days = 0, latestDay = null, gotValueCol = false;
-            for (const i of recent) {
-                const data = await fetchInstanceRows(jwt, i.id);
-                const v = sumColumn(data.header, data.rows, want.valueCols);
-                if (v != null) { total += v; days++; gotValueCol = true; if (!latestDay || i.processingDate > latestDay) latestDay = i.processingDate; }
-            }
-            if (gotValueCol) {
-                metrics[want.key] = { total, daysWithData: days, latestProcessingDate: latestDay };
-                fetched.push(report.name);
-            }
+            const { header, rows, periods, latestProcessingDate, meta } = await collectReportRows(client, report.id, window, useCache);
+            if (rows.length === 0) continue;
+            const parsed = parseReportRows(spec, header, rows, periods);
+            if (!parsed) continue;
+            reports[spec.key] = { name: report.name, category: report.category, latestProcessingDate, ...parsed, meta };
+            fetched.push(report.name);
+            if (spec.key === 'sessions') retention = parseRetentionCohorts(header, rows, periods);
+        }
+        const metrics = summaryMetrics(reports);
+
+        // 4b. ct= トークン別 (Detailed レポート)。無くても他の集計は返す。
+        const byToken = {};
+        const campaignReports = [];
+        for (const spec of CAMPAIGN_SPECS) {
+            const report = rep.reports.find((r) => spec.re.test(r.name ?? ''));
+            if (!report) continue;
+            const { header, rows } = await collectReportRows(client, report.id, window, useCache);
+            parseCampaignRows(spec, header, rows, byToken);
+            campaignReports.push(report.name);
         }
+        const campaigns = campaignReports.length
+            ? { available: true, reportsFetched: campaignReports, byToken }
+            : { available: false, note: 'Campaign 列を持つ Detailed レポート (App Store Discovery and Engagement / App Downloads Detailed) がまだ無い' };
 
-        if (Object.keys(metrics).length === 0) {
+        if (Object.keys(reports).length === 0) {
             return {
                 ...base, configured: true, accessible: true, pending: true, reportRequestId: requestId,
                 note: '利用可能レポートはあるが、指定窓内の DAILY instance / 目的カラムがまだ無い (生成待ち or カラム名要調整)。catalog を参照',
@@ -366,8 +574,9 @@ export async function pullAnalytics(opts = {}) {
         }
 
         return {
-            ...base, configured: true, accessible: true, pending: false, reportRequestId: requestId, windowDays,
-            metrics, reportsFetched: fetched, catalog,
+            ...base, configured: true, accessible: true, pending: false, reportRequestId: requestId, windowDays: window.days,
+            window: { from: window.from, to: window.to },
+            metrics, reports, ...(retention ? { retention } : {}), campaigns, reportsFetched: fetched, catalog,
         };
     } catch (err) {
         return { configured: false, source: 'asc-app-analytics', error: err.message, app: { label: APP_LABEL, bundleId } };
@@ -376,23 +585,27 @@ export async function pullAnalytics(opts = {}) {
 
 // ---- CLI ----
 function parseArgs(argv) {
-    const args = { windowDays: 30, autoCreate: false };
+    const args = { autoCreate: false };
+    const windowSpec = { days: 30 };
     for (let i = 0; i < argv.length; i++) {
         const a = argv[i];
-        if (a === '--days') args.windowDays = Number(argv[++i]) || args.windowDays;
+        const next = takeWindowFlag(argv, i, windowSpec);
+        if (next >= 0) i = next;
         else if (a === '--create') args.autoCreate = true; // ONGOING リクエスト作成を試行 (Admin ロールキーが必要)
         else if (a === '--no-create') args.autoCreate = false;
+        else if (a === '--no-cache') args.cache = false;
         else if (a === '--bundle-id') args.bundleId = argv[++i];
         else if (a === '--app-id') args.appId = argv[++i];
-        else if (/^\d+$/.test(a)) args.windowDays = Number(a);
+        else if (/^\d+$/.test(a)) windowSpec.days = Number(a);
     }
+    args.window = resolveWindow(windowSpec);
     return args;
 }
 
 async function main() {
-    const args = parseArgs(process.argv.slice(2));
+    const args = parseArgs(applyHttpFlags(process.argv.slice(2)));
     const data = await pullAnalytics(args);
-    const lines = [`[${APP_LABEL}] App Analytics 収集 (直近 ${args.windowDays} 日)`];
+    const lines = [`[${APP_LABEL}] App Analytics 収集 (${args.window.label}: ${args.window.from}〜${args.window.to})`];
     if (!data.configured) {
         lines.push(`  skip: ${data.error ?? data.note}`);
     } else if (data.pending) {
@@ -402,6 +615,14 @@ async function main() {
         for (const [k, v] of Object.entries(data.metrics ?? {})) {
             lines.push(`  ${k}: 合計 ${v.total} (${v.daysWithData}日ぶん, 最新 ${v.latestProcessingDate})`);
         }
+        const gaps = Object.entries(data.reports ?? {}).filter(([, r]) => r.meta?.gaps?.length);
+        for (const [k, r] of gaps) lines.push(`  ${k}: 窓内で埋まらない日 ${[...new Set(r.meta.gaps.flatMap((g) => g.missingDays))].length} 日 (${r.meta.gaps.map((g) => `${g.granularity} ${g.from}〜${g.to}: ${g.reason}`).join(' / ')})`);
+        const src = data.reports?.downloads?.bySourceType;
+        if (src) lines.push(`  DL 流入元: ${Object.entries(src).slice(0, 5).map(([k, v]) => `${k} ${Object.values(v).reduce((a, b) => a + b, 0)}`).join(' / ')}`);
+        const ct = data.campaigns?.byToken;
+        if (ct && Object.keys(ct).length) lines.push(`  ct 別 (新規DL): ${Object.entries(ct).sort((a, b) => b[1].firstDownloads - a[1].firstDownloads).slice(0, 5).map(([k, v]) => `${k} ${v.firstDownloads}`).join(' / ')}`);
+        const ret = data.retention?.average;
+        if (ret) lines.push(`  継続率 (DL 日コホート平均): D1 ${ret.d1 ?? '-'} / D7 ${ret.d7 ?? '-'} / D28 ${ret.d28 ?? '-'}`);
     }
     process.stderr.write(lines.join('\n') + '\n');
     process.stdout.write(JSON.stringify(data, null, 2) + '\n');
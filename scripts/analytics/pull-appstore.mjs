@@ -2,110 +2,55 @@
 // グロース分析ハーネス — App Store Connect 収集 (依存ゼロ / Node 標準モジュールのみ)
 //
 // 3 アプリ (Gymnee / BodyLapse / nihongo) は同一 ASC チーム配下で、同じ ASC キー + vendor number で
-// 全アプリのレポートを引ける。本スクリプトは各リポに同一内容でコピーされ、先頭の「対象アプリ」定数だけ
-// リポ固有に差し替える (bundleId/SKU の引数化)。nihongo の pull-appstore.ts を汎用化・依存ゼロ化したもの。
+// 全アプリのレポートを引ける。本スクリプトは各リポに同一内容でコピーされ、リポ固有の「対象アプリ」定数は
+// asc-client.mjs 側だけで差し替える (bundleId/SKU の引数化)。nihongo の pull-appstore.ts を汎用化・依存ゼロ化したもの。
 //
 // できること:
-//   1. JWT (ES256, Node 標準 crypto で自己署名) を作り GET /v1/apps で認証疎通を確認。
+//   1. asc-client.mjs の JWT (ES256, 自己署名・使い回し) で GET /v1/apps を叩き認証疎通を確認。
 //   2. Sales & Trends レポート (DAILY/SUMMARY) を vendor number で日別取得 → 対象アプリの
 //      Apple Identifier で行を絞り、新規DL/再DL/更新と課金 (proceeds) を集計。
 //   3. Subscription レポート (best-effort) で有効サブスク数を日別取得。
+//      Subscription Event レポートで開始/転換/更新/解約/返金/請求リトライのイベント数も日別・商品別に集計
+//      (有効数の差分からの推定ではなく、gross の新規/解約を直接数える)。
+//   4. 取得した日次 TSV (gunzip 済みの生データ) を analytics/cache/asc-reports/<vendor>/<種別>/<日付>.tsv に保存し、
+//      以後の実行はキャッシュに無い日だけ取りに行く。--backfill --since で過去分を一度だけ埋めておけば、
+//      90 日・365 日の窓でも追加コストは未取得日ぶんだけになる。
 //
 // 使い方:
 //   node scripts/analytics/pull-appstore.mjs [days=7]
 //   node scripts/analytics/pull-appstore.mjs --list-apps          # チーム配下の全アプリ (id/name/bundleId/sku) を列挙
+//   node scripts/analytics/pull-appstore.mjs --apps all           # チーム配下の全アプリを vendor レポート 1 回取得で集計
 //   node scripts/analytics/pull-appstore.mjs --days 5 --bundle-id com.example --app-id 123 --no-subscriptions
+//   node scripts/analytics/pull-appstore.mjs --week 2026-W42 | --month 2026-10 | --from 2026-10-01 --to 2026-10-14 [--tz Asia/Tokyo]  # 暦日の窓 (report-window.mjs)
+//   (サブスク/IAP の proceeds は Parent Identifier = アプリの SKU で拾い、downloads.subscriptionProceedsByCurrency に別建て。SKU はルックアップ結果。--sku で上書き)
+//   node scripts/analytics/pull-appstore.mjs --backfill --since 2025-07-01  # 日次キャッシュの穴を埋めるだけ (集計しない)
+//   node scripts/analytics/pull-appstore.mjs --days 90 --no-cache           # キャッシュを読まず全日取り直す (書き込みはする)
+//   node scripts/analytics/pull-appstore.mjs --backfill --since 2025-01-01 --concurrency 6  # 日次レポートの同時取得数 (既定 4)
+//   (日次レポートは同時 concurrency 本まで並列。X-Rate-Limit の残りが少なければ asc-client が送出を絞り、429 は全体で待つ。
+//    一時エラーの日は最後にまとめて取り直し、それでも取れなかった日は downloads.meta.failedDays に残す)
+//   (日ごとの完全性 final / missing / error を completeness に載せる。直近の未着日は provisionalDays に並び、reconcile.mjs が後で埋める)
+//   node scripts/analytics/pull-appstore.mjs --record <dir> | --replay <dir> # HTTP 記録/再生 (http-replay.mjs)
 //
 // 設計原則: LLM を使わない決定論スクリプト。資格情報やネットワークが無くても snapshot 全体を止めないよう、
 //           失敗は例外で止めず configured:false / error フィールドに載せて best-effort 継続する。
 //           標準出力は集計 JSON のみ、進捗・要約は標準エラーへ。個人情報を含めず集計値のみ。
-import { readFileSync, existsSync } from 'node:fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { gunzipSync } from 'node:zlib';
-import { createPrivateKey, sign as cryptoSign } from 'node:crypto';
-import { homedir } from 'node:os';
 import { resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { httpMode, nowMs, applyHttpFlags } from './http-replay.mjs';
+import { resolveWindow, windowFromOpts, takeWindowFlag, eachDay, addDays, zonedDate, isNoReportFinal } from './report-window.mjs';
+import { APP_LABEL, DEFAULT_BUNDLE_ID, DEFAULT_APP_ID, loadCreds, createAscClient, systemicError, listApps, lookupApp, runPool } from './asc-client.mjs';
 
-// ================= 対象アプリ (このリポのコピー固有 — 他リポでここだけ差し替える) =================
-const APP_LABEL = 'BodyLapse';
-const DEFAULT_BUNDLE_ID = 'com.J.BodyLapse';
-const DEFAULT_APP_ID = '6747956750'; // bundleId ルックアップ失敗時のフォールバック用 (通常は live ルックアップを優先)
-// ============================================================================================
-
-const ASC_AUD = 'appstoreconnect-v1';
-const ASC_BASE = 'https://api.appstoreconnect.apple.com';
-const DAY_MS = 24 * 60 * 60 * 1000;
-
-// ---- 資格情報の読み込み (env → ~/.config/growth/asc.env → 各リポ secrets/.env の順で解決) ----
-// 共有growth設定を先にするのは、リポsecretsのASCキーがTestFlight用ロールで売上APIを引けないため
-function parseEnvFile(path) {
-    const kv = {};
-    if (!existsSync(path)) return kv;
-    for (const line of readFileSync(path, 'utf8').split('\n')) {
-        if (line.trim().startsWith('#')) continue;
-        const m = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
-        if (m) kv[m[1]] = m[2].replace(/^["']|["']$/g, '');
-    }
-    return kv;
-}
-function expandHome(p) {
-    return p && p.startsWith('~') ? resolve(homedir(), p.slice(2)) : p;
-}
-function loadCreds() {
-    const scriptDir = dirname(fileURLToPath(import.meta.url));
-    const repoSecrets = parseEnvFile(resolve(scriptDir, '../../secrets/.env'));
-    const shared = parseEnvFile(resolve(homedir(), '.config/growth/asc.env'));
-    const pick = (k) => process.env[k] ?? shared[k] ?? repoSecrets[k];
-    const keyId = pick('ASC_KEY_ID');
-    const issuerId = pick('ASC_ISSUER_ID');
-    const vendorNumber = pick('ASC_VENDOR_NUMBER');
-    const keyPath = expandHome(pick('ASC_KEY_PATH') ?? `~/.appstoreconnect/private_keys/AuthKey_${keyId}.p8`);
-    if (!keyId || !issuerId) {
-        throw new Error('ASC_KEY_ID / ASC_ISSUER_ID 未設定 (env / secrets/.env / ~/.config/growth/asc.env のいずれかに置く)');
-    }
-    if (!existsSync(keyPath)) throw new Error(`ASC 秘密鍵 (.p8) が見つからない: ${keyPath}`);
-    return { keyId, issuerId, vendorNumber, privateKeyPem: readFileSync(keyPath, 'utf8') };
-}
-
-// ---- JWT (ES256) を Node 標準 crypto で自己署名 (jose 等の依存を持たない) ----
-function b64url(input) {
-    return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-}
-function makeJwt(creds) {
-    const header = { alg: 'ES256', kid: creds.keyId, typ: 'JWT' };
-    const now = Math.floor(Date.now() / 1000);
-    const payload = { iss: creds.issuerId, iat: now, exp: now + 20 * 60, aud: ASC_AUD };
-    const signingInput = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(payload))}`;
-    const key = createPrivateKey(creds.privateKeyPem);
-    // ES256 は R||S の生連結 (JOSE 形式) が必要。DER ではなく ieee-p1363 を指定する。
-    const sig = cryptoSign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
-    return `${signingInput}.${b64url(sig)}`;
-}
-
-async function ascGet(jwt, path, accept) {
-    return fetch(`${ASC_BASE}${path}`, {
-        headers: { Authorization: `Bearer ${jwt}`, ...(accept ? { Accept: accept } : {}) },
-    });
-}
-
-// ---- チーム配下の全アプリを列挙 (id/name/bundleId/sku) ----
-async function listApps(jwt) {
-    const q = new URLSearchParams({ 'fields[apps]': 'name,bundleId,sku', limit: '200' });
-    const res = await ascGet(jwt, `/v1/apps?${q}`);
-    if (!res.ok) throw new Error(`apps HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
-    const json = await res.json();
-    return (json.data ?? []).map((a) => ({
-        id: a.id,
-        name: a.attributes?.name,
-        bundleId: a.attributes?.bundleId,
-        sku: a.attributes?.sku,
-    }));
-}
+const CACHE_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/cache/asc-reports');
 
 // ---- Sales Report の TSV を集計。行は Apple Identifier で対象アプリに絞る ----
 // Product Type Identifier: '1'* = 新規DL, '3'* / '7'* = 更新, '*T' = 再DL (無料アプリは末尾 F)。
 // nihongo pull-appstore.ts の分類ヒューリスティックをそのまま踏襲し、3 アプリで一貫させる。
-function parseSalesTsv(tsv, appId) {
+// サブスク/IAP の行は Apple Identifier が商品側の ID で、Parent Identifier にアプリの SKU が入る。
+// parentSku を渡すとその行を subscriptionUnits / subscriptionProceedsByCurrency に**別建てで**数える。
+// iapUnits / proceedsByCurrency は従来どおりアプリ本体 (Apple Identifier 一致) の行だけ (過去のスナップショットと同じ意味を保つ)。
+export function parseSalesTsv(tsv, appId, parentSku) {
     const lines = tsv.split('\n').filter((l) => l.trim().length > 0);
     if (lines.length < 2) return null;
     const header = lines[0].split('\t');
@@ -116,31 +61,129 @@ function parseSalesTsv(tsv, appId) {
     const iAppId = col('Apple Identifier');
     const iProceeds = col('Developer Proceeds');
     const iProceedsCcy = col('Currency of Proceeds');
+    const iCountry = col('Country Code');
+    const iDevice = col('Device');
+    const iVersion = col('Version');
+    const iParent = col('Parent Identifier');
     if (iType < 0 || iUnits < 0 || iDate < 0) return null;
 
-    let firstDownloads = 0, redownloads = 0, updates = 0, iapUnits = 0;
-    const proceedsByCurrency = {};
+    let firstDownloads = 0, redownloads = 0, updates = 0, iapUnits = 0, subscriptionUnits = 0;
+    const proceedsByCurrency = {}, subscriptionProceedsByCurrency = {};
+    const addProceeds = (into, cols, units) => {
+        if (iProceeds < 0 || iProceedsCcy < 0) return;
+        const per = Number(cols[iProceeds] ?? '0') || 0;
+        const ccy = (cols[iProceedsCcy] ?? '').trim();
+        if (per && ccy) into[ccy] = Math.round(((into[ccy] ?? 0) + per * units) * 100) / 100;
+    };
+    // 新規DL/再DL/更新を国・端末・バージョン別にも数える (ASO やリリース展開の効き先を見るため)。
+    const byCountry = {}, byDevice = {}, byVersion = {};
+    const bump = (map, idx, cols, kind, units) => {
+        const k = (idx >= 0 ? (cols[idx] ?? '').trim() : '') || '(none)';
+        map[k] ??= { firstDownloads: 0, redownloads: 0, updates: 0 };
+        map[k][kind] += units;
+    };
     for (const line of lines.slice(1)) {
         const cols = line.split('\t');
-        // Apple Identifier で対象アプリに絞る (vendor レポートは全アプリ混在)。
-        if (appId && iAppId >= 0 && (cols[iAppId] ?? '').trim() !== String(appId)) continue;
         const type = (cols[iType] ?? '').trim();
         const units = Number(cols[iUnits] ?? '0') || 0;
-        if (type.startsWith('1') || type === 'F1') firstDownloads += units;
-        else if (type.startsWith('3') || type.startsWith('7')) updates += units;
-        else if (type.includes('T')) redownloads += units;
+        // Apple Identifier で対象アプリに絞る (vendor レポートは全アプリ混在)。SKU 一致の子商品の行は別建て。
+        if (appId && iAppId >= 0 && (cols[iAppId] ?? '').trim() !== String(appId)) {
+            if (!parentSku || iParent < 0 || (cols[iParent] ?? '').trim() !== parentSku) continue;
+            subscriptionUnits += units;
+            addProceeds(subscriptionProceedsByCurrency, cols, units);
+            continue;
+        }
+        let kind = null;
+        if (type.startsWith('1') || type === 'F1') { firstDownloads += units; kind = 'firstDownloads'; }
+        else if (type.startsWith('3') || type.startsWith('7')) { updates += units; kind = 'updates'; }
+        else if (type.includes('T')) { redownloads += units; kind = 'redownloads'; }
         else if (type.startsWith('IA') || type.startsWith('FI')) iapUnits += units; // 課金 (IAP/サブスク)
+        if (kind) {
+            for (const [map, idx] of [[byCountry, iCountry], [byDevice, iDevice], [byVersion, iVersion]]) {
+                bump(map, idx, cols, kind, units);
+            }
+        }
         // proceeds (通貨別に合計。混在通貨を単純合算しないため通貨ごとに保持)。
-        if (iProceeds >= 0 && iProceedsCcy >= 0) {
-            const per = Number(cols[iProceeds] ?? '0') || 0;
-            const ccy = (cols[iProceedsCcy] ?? '').trim();
-            if (per && ccy) proceedsByCurrency[ccy] = Math.round(((proceedsByCurrency[ccy] ?? 0) + per * units) * 100) / 100;
+        addProceeds(proceedsByCurrency, cols, units);
+    }
+    return {
+        firstDownloads, redownloads, updates, iapUnits, proceedsByCurrency,
+        subscriptionUnits, subscriptionProceedsByCurrency, byCountry, byDevice, byVersion,
+    };
+}
+
+// ---- 通貨別の金額 { ccy: amount } を足し込む ----
+function addByCurrency(into, from = {}) {
+    for (const [ccy, amt] of Object.entries(from)) into[ccy] = Math.round(((into[ccy] ?? 0) + amt) * 100) / 100;
+    return into;
+}
+
+// ---- 内訳マップ { key: { firstDownloads, redownloads, updates } } を足し込む ----
+function mergeBreakdown(into, from = {}) {
+    for (const [k, v] of Object.entries(from)) {
+        into[k] ??= { firstDownloads: 0, redownloads: 0, updates: 0 };
+        for (const f of Object.keys(into[k])) into[k][f] += v[f] ?? 0;
+    }
+    return into;
+}
+
+// 新規DL → 更新 → 再DL の多い順にキーを並べ替える (JSON を目で読むとき上位が先頭に来るように)。
+function sortBreakdown(map) {
+    const score = (v) => v.firstDownloads * 1e6 + v.updates * 1e3 + v.redownloads;
+    return Object.fromEntries(Object.entries(map).sort((a, b) => score(b[1]) - score(a[1]) || a[0].localeCompare(b[0])));
+}
+
+// ---- 1 レポート × 1 日の完全性 ----
+//   final   = 確定。レポートあり、または NO_REPORT_FINAL_AFTER_DAYS より古い日の「レポート無し」(vendor 全体でゼロの日)
+//   missing = 直近の「レポート無し」。遅延着なので後で取り直せば埋まる (reconcile.mjs)
+//   error   = 取り直しても取れなかった / 恒久エラー
+export function reportStatus(result, reportDate) {
+    if (result?.status === 200) return 'final';
+    if (result?.status === 404) return isNoReportFinal(reportDate) ? 'final' : 'missing';
+    return result ? 'error' : 'missing';
+}
+
+// ---- 日次レポートのローカルキャッシュ (vendor × レポート種別 × 日付)。生 TSV を置く。404 確定日は .none ----
+function cachePaths(vendorNumber, reportType, reportDate) {
+    const dir = resolve(CACHE_DIR, String(vendorNumber), reportType);
+    return { dir, tsv: resolve(dir, `${reportDate}.tsv`), none: resolve(dir, `${reportDate}.none`) };
+}
+function readCachedReport(vendorNumber, reportType, reportDate) {
+    const p = cachePaths(vendorNumber, reportType, reportDate);
+    if (existsSync(p.tsv)) return { status: 200, tsv: readFileSync(p.tsv, 'utf8'), cached: true };
+    if (existsSync(p.none)) return { status: 404, cached: true };
+    return null;
+}
+function writeCachedReport(vendorNumber, reportType, reportDate, result) {
+    const p = cachePaths(vendorNumber, reportType, reportDate);
+    try {
+        if (result.status === 200) {
+            mkdirSync(p.dir, { recursive: true });
+            writeFileSync(p.tsv, result.tsv);
+        } else if (result.status === 404 && isNoReportFinal(reportDate)) {
+            mkdirSync(p.dir, { recursive: true });
+            writeFileSync(p.none, '');
         }
+    } catch { /* キャッシュは最適化にすぎない。書けなくても集計は続ける */ }
+}
+// キャッシュ → 無ければ fetcher で取得して保存。useCache=false でも取得結果は保存する (取り直し用)。
+// record/replay 中はキャッシュを読み書きしない (全リクエストをフィクスチャに通し、本物の履歴も汚さない)。
+// ファイルに残さない直近の「レポート無し」も、同じプロセス内では 1 回だけ聞く (reconcile.mjs が窓の重なるスナップショットを続けて集計するため)。
+const sessionMisses = new Map();
+async function cachedReport(vendorNumber, reportType, reportDate, useCache, fetcher) {
+    if (httpMode().mode !== 'live') return fetcher();
+    const key = `${vendorNumber}/${reportType}/${reportDate}`;
+    if (useCache) {
+        const hit = readCachedReport(vendorNumber, reportType, reportDate) ?? sessionMisses.get(key);
+        if (hit) return hit;
     }
-    return { firstDownloads, redownloads, updates, iapUnits, proceedsByCurrency };
+    const r = await fetcher();
+    writeCachedReport(vendorNumber, reportType, reportDate, r);
+    if (r.status === 404) sessionMisses.set(key, r);
+    return r;
 }
 
-async function fetchSalesForDate(jwt, vendorNumber, reportDate) {
+async function fetchSalesForDate(client, vendorNumber, reportDate) {
     const q = new URLSearchParams({
         'filter[frequency]': 'DAILY',
         'filter[reportType]': 'SALES',
@@ -149,53 +192,391 @@ async function fetchSalesForDate(jwt, vendorNumber, reportDate) {
         'filter[reportDate]': reportDate,
         'filter[version]': '1_1',
     });
-    const res = await ascGet(jwt, `/v1/salesReports?${q}`, 'application/a-gzip');
+    const res = await client.get(`/v1/salesReports?${q}`, 'application/a-gzip');
     if (res.status === 404) return { status: 404 }; // その日のレポートが未生成 (vendor 全体でゼロ or 未確定)
     // 401/403 はキーのロール不足など「全日共通で発生する systemic なエラー」。日別ループを空回しさせず伝播する。
-    if (res.status === 401 || res.status === 403) {
-        let detail = '';
-        try { detail = ((await res.json()).errors?.[0]?.detail) ?? ''; } catch { /* ignore */ }
-        return { status: res.status, systemic: true, detail };
-    }
-    if (!res.ok) throw new Error(`salesReports ${reportDate} HTTP ${res.status}`);
+    const sys = await systemicError(res);
+    if (sys) return sys;
+    if (!res.ok) throw Object.assign(new Error(`salesReports ${reportDate} HTTP ${res.status}`), { status: res.status });
     const buf = Buffer.from(await res.arrayBuffer());
     return { status: 200, tsv: gunzipSync(buf).toString('utf8') };
 }
 
-async function fetchSubscriptionsForDate(jwt, vendorNumber, reportDate, appId) {
+// reportType: 'SUBSCRIPTION' (有効数のスナップショット) / 'SUBSCRIPTION_EVENT' (その日に起きたイベント)。
+async function fetchSubscriptionsForDate(client, vendorNumber, reportDate, reportType = 'SUBSCRIPTION') {
     const q = new URLSearchParams({
         'filter[frequency]': 'DAILY',
-        'filter[reportType]': 'SUBSCRIPTION',
+        'filter[reportType]': reportType,
         'filter[reportSubType]': 'SUMMARY',
         'filter[vendorNumber]': vendorNumber,
         'filter[reportDate]': reportDate,
         'filter[version]': '1_4',
     });
-    const res = await ascGet(jwt, `/v1/salesReports?${q}`, 'application/a-gzip');
+    const res = await client.get(`/v1/salesReports?${q}`, 'application/a-gzip');
     if (res.status === 404) return { status: 404 };
     if (!res.ok) return { status: res.status };
-    const tsv = gunzipSync(Buffer.from(await res.arrayBuffer())).toString('utf8');
+    return { status: 200, tsv: gunzipSync(Buffer.from(await res.arrayBuffer())).toString('utf8') };
+}
+
+// ---- Subscription レポートの TSV から対象アプリの有効サブスク数 (Active … Subscriptions 列の合計) ----
+// あわせて商品 (Subscription Name) 別に、期間 (月/年)・顧客価格・オファー種別の内訳を作る。
+//   active / byPrice は有効サブスク数と同じ定義 (Active … 列) なので、全商品の active 合計 = activeSubscriptions。
+//   offers は列ごとの件数 (プロモーション/オファーコード列は Active で始まらず合計に入らないため、参考値として別掲)。
+const OFFER_COLUMNS = [
+    ['standard', /^Active Standard Price Subscriptions$/i],
+    ['freeTrialIntro', /^Active Free Trial Introductory Offer Subscriptions$/i],
+    ['payUpFrontIntro', /^Active Pay Up Front Introductory Offer Subscriptions$/i],
+    ['payAsYouGoIntro', /^Active Pay As You Go Introductory Offer Subscriptions$/i],
+    ['promotional', /Promotional Offer Subscriptions$/i],
+    ['offerCode', /Offer Code Subscriptions$/i],
+];
+
+export function parseSubscriptionTsv(tsv, appId) {
     const lines = tsv.split('\n').filter((l) => l.trim().length > 0);
-    if (lines.length < 2) return { status: 200, activeSubscriptions: 0 };
+    if (lines.length < 2) return { activeSubscriptions: 0, byProduct: {} };
     const header = lines[0].split('\t');
-    const iApp = header.indexOf('App Apple ID');
+    const col = (name) => header.indexOf(name);
+    const iApp = col('App Apple ID');
+    const iName = col('Subscription Name');
+    const iDuration = col('Standard Subscription Duration');
+    const iPrice = col('Customer Price');
+    const iCurrency = col('Customer Currency');
+    const iOfferName = col('Subscription Offer Name');
+    const iBillingRetry = col('Billing Retry');
+    const iGrace = col('Grace Period');
     const activeCols = header
         .map((h, idx) => ({ h, idx }))
         .filter((x) => /^Active .*Subscriptions$/i.test(x.h) || x.h === 'Active Standard Price Subscriptions')
         .map((x) => x.idx);
+    const offerCols = OFFER_COLUMNS.flatMap(([key, re]) => header.map((h, idx) => (re.test(h) ? { key, idx } : null)).filter(Boolean));
+    const num = (cols, idx) => (idx >= 0 ? Number(cols[idx] ?? '0') || 0 : 0);
+    const str = (cols, idx) => (idx >= 0 ? (cols[idx] ?? '').trim() : '');
+
     let active = 0;
+    const byProduct = {};
+    for (const line of lines.slice(1)) {
+        const cols = line.split('\t');
+        if (appId && iApp >= 0 && (cols[iApp] ?? '').trim() !== String(appId)) continue;
+        let rowActive = 0;
+        for (const idx of activeCols) rowActive += num(cols, idx);
+        active += rowActive;
+
+        const name = str(cols, iName) || '(unknown)';
+        const p = (byProduct[name] ??= {
+            duration: str(cols, iDuration) || null,
+            active: 0,
+            offers: Object.fromEntries(OFFER_COLUMNS.map(([k]) => [k, 0])),
+            byPrice: {},
+            byOfferName: {},
+            billingRetry: 0,
+            gracePeriod: 0,
+        });
+        p.active += rowActive;
+        for (const { key, idx } of offerCols) p.offers[key] += num(cols, idx);
+        if (rowActive) {
+            const price = [str(cols, iPrice), str(cols, iCurrency)].filter(Boolean).join(' ') || '(unknown)';
+            p.byPrice[price] = (p.byPrice[price] ?? 0) + rowActive;
+            const offerName = str(cols, iOfferName);
+            if (offerName) p.byOfferName[offerName] = (p.byOfferName[offerName] ?? 0) + rowActive;
+        }
+        p.billingRetry += num(cols, iBillingRetry);
+        p.gracePeriod += num(cols, iGrace);
+    }
+    return { activeSubscriptions: active, byProduct };
+}
+
+// ---- Subscription Event レポートの TSV を対象アプリぶん集計 (Event 列 × Quantity 列) ----
+// Event の文言を 7 区分に寄せる。上から順に当てる (「… from Billing Retry」は復帰 = 更新扱い、を先に判定するため)。
+//   grossAdds = start (新規・再開。トライアル開始も含む) / grossChurn = cancel + refund。
+//   billingRetry (請求失敗で猶予中) は復帰しうるので churn に入れず別掲。upgrade/crossgrade 等は other。
+const EVENT_KINDS = ['start', 'conversion', 'renew', 'cancel', 'refund', 'billingRetry', 'other'];
+const EVENT_RULES = [
+    ['refund', /^Refund/i],
+    ['renew', /from Billing Retry$/i],
+    ['billingRetry', /^Billing Retry|Grace Period/i],
+    ['conversion', /^Paid Subscription from Introductory Offer/i],
+    ['renew', /^Renew/i],
+    ['cancel', /^Cancel/i],
+    ['start', /^(Subscribe|Start |Reactivate)/i],
+];
+export function classifySubscriptionEvent(event) {
+    return EVENT_RULES.find(([, re]) => re.test(event))?.[0] ?? 'other';
+}
+
+function emptyEventCounts() {
+    return Object.fromEntries(EVENT_KINDS.map((k) => [k, 0]));
+}
+
+export function parseSubscriptionEventTsv(tsv, appId) {
+    const counts = emptyEventCounts();
+    const byProduct = {}, byEvent = {};
+    const lines = tsv.split('\n').filter((l) => l.trim().length > 0);
+    if (lines.length < 2) return { counts, byProduct, byEvent };
+    const header = lines[0].split('\t');
+    const col = (name) => header.indexOf(name);
+    const iApp = col('App Apple ID');
+    const iEvent = col('Event');
+    const iName = col('Subscription Name');
+    const iQty = col('Quantity');
+    if (iEvent < 0) return { counts, byProduct, byEvent };
     for (const line of lines.slice(1)) {
         const cols = line.split('\t');
         if (appId && iApp >= 0 && (cols[iApp] ?? '').trim() !== String(appId)) continue;
-        for (const idx of activeCols) active += Number(cols[idx] ?? '0') || 0;
+        const event = (cols[iEvent] ?? '').trim();
+        // Quantity 列が無い版は 1 行 = 1 件。
+        const qty = iQty >= 0 ? Number(cols[iQty] ?? '0') || 0 : 1;
+        if (!event || !qty) continue;
+        const kind = classifySubscriptionEvent(event);
+        const name = (iName >= 0 ? (cols[iName] ?? '').trim() : '') || '(unknown)';
+        counts[kind] += qty;
+        (byProduct[name] ??= emptyEventCounts())[kind] += qty;
+        byEvent[event] = (byEvent[event] ?? 0) + qty;
+    }
+    return { counts, byProduct, byEvent };
+}
+
+// ---- vendor の日次レポート (日付 × 種別) を同時 concurrency 本まで並列に取る ----
+// 1 日 1 種別 = 1 リクエスト。キャッシュ済みはリクエストしない。
+//   - 一時エラー (例外・429・5xx。asc-client の再試行を使い切ったもの) の日は、全体を回し終えてから最大 DAY_RETRY_ROUNDS 回まで取り直す。
+//     それでも取れなかった日は failed に残す (キャッシュしないので次回の実行でも取り直す)。
+//   - SALES の 401/403 (systemic) は全日共通なので、見えた時点で残りを送らずに止める。
+//   - 結果は tasks と同じ順 (並列の完了順に依らない)。
+const DEFAULT_CONCURRENCY = 4;
+const DAY_RETRY_ROUNDS = 2;
+const DAY_RETRY_DELAY_MS = 5000;
+function isTemporary(r) {
+    return !r || r.temporary === true || r.status === 429 || r.status >= 500;
+}
+async function fetchVendorReports(client, vendorNumber, tasks, { useCache = true, concurrency = DEFAULT_CONCURRENCY } = {}) {
+    const results = new Array(tasks.length).fill(null);
+    let systemic = null;
+    let retried = 0;
+    for (let round = 0; round <= DAY_RETRY_ROUNDS; round++) {
+        const pending = tasks.map((t, i) => i).filter((i) => isTemporary(results[i]));
+        if (!pending.length || systemic) break;
+        if (round > 0) {
+            retried += pending.length;
+            if (httpMode().mode !== 'replay') await new Promise((r) => setTimeout(r, DAY_RETRY_DELAY_MS * round));
+        }
+        await runPool(pending, concurrency, async (i) => {
+            if (systemic) return;
+            const { reportDate, reportType } = tasks[i];
+            try {
+                results[i] = await cachedReport(vendorNumber, reportType, reportDate, useCache, () => (reportType === 'SALES'
+                    ? fetchSalesForDate(client, vendorNumber, reportDate)
+                    : fetchSubscriptionsForDate(client, vendorNumber, reportDate, reportType)));
+                if (results[i].systemic && reportType === 'SALES') systemic = results[i];
+            } catch (err) {
+                // ネットワークエラーと 429/5xx は一時エラー。その他の 4xx はその日固有の恒久エラー (取り直さない)。
+                const temporary = !(err.status >= 400 && err.status < 500 && err.status !== 429);
+                results[i] = { error: true, temporary, detail: err.message };
+            }
+        });
+    }
+    const failed = tasks.filter((t, i) => isTemporary(results[i]) && !systemic);
+    return { results, systemic, retried, failed, requestStats: client.stats?.() };
+}
+
+// ---- 過去分の日次キャッシュを埋める (集計はしない)。キャッシュ済みの日はリクエストしない ----
+export async function backfillAppStore(opts = {}) {
+    const since = opts.since;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(since ?? '')) throw new Error('--since YYYY-MM-DD が必要');
+    const wantSubscriptions = opts.subscriptions ?? true;
+    const creds = loadCreds();
+    if (!creds.vendorNumber) throw new Error('ASC_VENDOR_NUMBER 未設定 (backfill は vendor 単位のキャッシュ)');
+    const client = createAscClient(creds);
+    const vendorNumber = creds.vendorNumber;
+    const yesterday = addDays(zonedDate(nowMs()), -1);
+
+    const kinds = ['SALES', ...(wantSubscriptions ? ['SUBSCRIPTION', 'SUBSCRIPTION_EVENT'] : [])];
+    const tasks = eachDay(since, yesterday).flatMap((reportDate) => kinds.map((reportType) => ({ reportDate, reportType })));
+    const cached = tasks.map((t) => Boolean(readCachedReport(vendorNumber, t.reportType, t.reportDate)));
+    const r = await fetchVendorReports(client, vendorNumber, tasks.filter((t, i) => !cached[i]), { concurrency: opts.concurrency });
+    if (r.systemic) throw new Error(`salesReports HTTP ${r.systemic.status}: ${r.systemic.detail || 'アクセス不可'}`); // ロール不足は全日共通
+    return {
+        since,
+        until: yesterday,
+        cached: cached.filter(Boolean).length,
+        fetched: r.results.filter((x) => x?.status === 200).length,
+        noReport: r.results.filter((x) => x?.status === 404).length,
+        errors: r.results.filter((x) => x && x.status !== 200 && x.status !== 404).length,
+        retried: r.retried,
+        ...(r.failed.length ? { failedDays: r.failed.map((t) => `${t.reportDate} ${t.reportType}`) } : {}),
+        ...(r.requestStats ? { requests: r.requestStats } : {}),
+    };
+}
+
+// ---- vendor 全体の日次レポート (SALES / SUBSCRIPTION / SUBSCRIPTION_EVENT) を窓 [from, to] の暦日ぶん集める ----
+// vendor レポートは全アプリ混在なので、ここでは生 TSV のまま持ち、アプリ別の集計は summarizeApp で行う
+// (--apps all でも各日 1 回しか取得しない)。Sales Report は日別 1 リクエスト、~1-2 日遅延。
+async function collectVendorDays(client, vendorNumber, window, { useCache = true, subscriptions = true, concurrency } = {}) {
+    const kinds = ['SALES', ...(subscriptions ? ['SUBSCRIPTION', 'SUBSCRIPTION_EVENT'] : [])];
+    const dates = eachDay(window.from, window.to);
+    const tasks = dates.flatMap((reportDate) => kinds.map((reportType) => ({ reportDate, reportType })));
+    const r = await fetchVendorReports(client, vendorNumber, tasks, { useCache, concurrency });
+    if (r.systemic) {
+        // 全日共通の systemic エラー (キーのロール不足など)。理由を明示する。
+        const salesError = `salesReports HTTP ${r.systemic.status}: ${r.systemic.detail || 'アクセス不可'} — ` +
+            'ASC API キーに Sales/Finance/Admin ロールが必要 (現キーは TestFlight 配布用ロールで販売レポート不可)';
+        return { days: [], salesError, fetch: { retried: r.retried } };
+    }
+    const byDate = new Map(dates.map((day) => [day, { day }]));
+    const field = { SALES: 'sales', SUBSCRIPTION: 'subscription', SUBSCRIPTION_EVENT: 'subscriptionEvent' };
+    // 取り直しても取れなかった日: sales は { error } で daysError に数え、サブスク系は 200 以外なので集計から外れる (failedDays に残る)。
+    tasks.forEach((t, i) => { byDate.get(t.reportDate)[field[t.reportType]] = r.results[i]; });
+    return {
+        days: [...byDate.values()],
+        salesError: null,
+        fetch: {
+            retried: r.retried,
+            failedDays: r.failed.map((t) => `${t.reportDate} ${t.reportType}`),
+            ...(r.requestStats ? { requests: r.requestStats } : {}),
+        },
+    };
+}
+
+// ---- 集めた vendor レポートを 1 アプリ (Apple Identifier) ぶんに絞って downloads / subscriptions を作る ----
+function summarizeApp(collected, appId, { vendorNumber, window, subscriptions = true, sku }) {
+    const byDay = [];
+    let daysNoReport = 0, daysError = 0, daysFromCache = 0;
+    const proceedsByCurrency = {}, subscriptionProceedsByCurrency = {};
+    const byCountry = {}, byDevice = {}, byVersion = {};
+    const subsByDay = [];
+    const eventsByDay = [];
+    const eventsByProduct = {}, eventsByName = {};
+    const completeness = {};
+    for (const { day: reportDate, sales, subscription, subscriptionEvent } of collected.days) {
+        completeness[reportDate] = {
+            sales: reportStatus(sales, reportDate),
+            ...(subscriptions ? { subscription: reportStatus(subscription, reportDate), subscriptionEvent: reportStatus(subscriptionEvent, reportDate) } : {}),
+        };
+        if (sales?.cached) daysFromCache++;
+        if (sales?.error) daysError++;
+        else if (sales?.status === 404) daysNoReport++;
+        else if (sales?.status === 200) {
+            const agg = parseSalesTsv(sales.tsv, appId, sku);
+            // レポートは存在するが対象アプリの行がゼロ = DL ゼロの日。明示的にゼロ行を積む。
+            const day = agg ?? { firstDownloads: 0, redownloads: 0, updates: 0, iapUnits: 0, proceedsByCurrency: {}, subscriptionUnits: 0, subscriptionProceedsByCurrency: {} };
+            byDay.push({
+                day: reportDate,
+                firstDownloads: day.firstDownloads,
+                redownloads: day.redownloads,
+                updates: day.updates,
+                iapUnits: day.iapUnits,
+                proceedsByCurrency: day.proceedsByCurrency,
+                subscriptionUnits: day.subscriptionUnits,
+                subscriptionProceedsByCurrency: day.subscriptionProceedsByCurrency,
+            });
+            addByCurrency(proceedsByCurrency, day.proceedsByCurrency);
+            addByCurrency(subscriptionProceedsByCurrency, day.subscriptionProceedsByCurrency);
+            mergeBreakdown(byCountry, day.byCountry);
+            mergeBreakdown(byDevice, day.byDevice);
+            mergeBreakdown(byVersion, day.byVersion);
+        }
+        if (subscription?.status === 200) {
+            const sub = parseSubscriptionTsv(subscription.tsv, appId);
+            subsByDay.push({ day: reportDate, activeSubscriptions: sub.activeSubscriptions, detail: sub.byProduct });
+        }
+        if (subscriptionEvent?.status === 200) {
+            const ev = parseSubscriptionEventTsv(subscriptionEvent.tsv, appId);
+            eventsByDay.push({ day: reportDate, ...ev.counts });
+            for (const [name, c] of Object.entries(ev.byProduct)) {
+                const into = (eventsByProduct[name] ??= emptyEventCounts());
+                for (const k of EVENT_KINDS) into[k] += c[k];
+            }
+            for (const [e, n] of Object.entries(ev.byEvent)) eventsByName[e] = (eventsByName[e] ?? 0) + n;
+        }
+    }
+    byDay.sort((a, b) => a.day.localeCompare(b.day));
+    subsByDay.sort((a, b) => a.day.localeCompare(b.day));
+    const statusDays = Object.keys(completeness).sort();
+    const provisionalDays = statusDays.filter((d) => Object.values(completeness[d]).some((st) => st !== 'final'));
+    eventsByDay.sort((a, b) => a.day.localeCompare(b.day));
+
+    const totals = byDay.reduce(
+        (acc, d) => ({
+            firstDownloads: acc.firstDownloads + d.firstDownloads,
+            redownloads: acc.redownloads + d.redownloads,
+            updates: acc.updates + d.updates,
+            iapUnits: acc.iapUnits + d.iapUnits,
+            subscriptionUnits: acc.subscriptionUnits + d.subscriptionUnits,
+        }),
+        { firstDownloads: 0, redownloads: 0, updates: 0, iapUnits: 0, subscriptionUnits: 0 },
+    );
+    const out = {
+        downloads: {
+            vendorNumber,
+            appId,
+            windowDays: window.days,
+            window: { from: window.from, to: window.to },
+            byDayJst: byDay,
+            totals,
+            proceedsByCurrency,
+            subscriptionProceedsByCurrency,
+            byCountry: sortBreakdown(byCountry),
+            byDevice: sortBreakdown(byDevice),
+            byVersion: sortBreakdown(byVersion),
+            meta: {
+                daysWithReport: byDay.length, daysNoReport, daysError, daysFromCache,
+                retried: collected.fetch.retried,
+                ...(collected.fetch.failedDays?.length ? { failedDays: collected.fetch.failedDays } : {}),
+            },
+            ...(collected.salesError ? { error: collected.salesError } : {}),
+        },
+        // 日ごとの完全性。provisionalDays (どれかのレポートが final でない日) は trends / campaigns が既定で読み飛ばし、reconcile.mjs が取り直す。
+        completeness: {
+            byDay: Object.fromEntries(statusDays.map((d) => [d, completeness[d]])),
+            provisionalDays,
+            // 窓の先頭から途切れなく final な最後の日 (先頭から未確定なら null)
+            finalThrough: provisionalDays.length
+                ? (provisionalDays[0] > statusDays[0] ? addDays(provisionalDays[0], -1) : null)
+                : statusDays[statusDays.length - 1] ?? null,
+        },
+    };
+    if (subscriptions) {
+        const last = subsByDay[subsByDay.length - 1];
+        out.subscriptions = subsByDay.length
+            ? {
+                available: true,
+                // 日別は商品ごとの有効数だけ (Standard→Pro の移り変わりを追う)。詳細な内訳は最新日のみ byProduct に載せる。
+                byDayJst: subsByDay.map((d) => ({
+                    day: d.day,
+                    activeSubscriptions: d.activeSubscriptions,
+                    byProduct: Object.fromEntries(Object.entries(d.detail).map(([name, v]) => [name, v.active])),
+                })),
+                latest: last?.activeSubscriptions ?? 0,
+                byProduct: last?.detail ?? {},
+            }
+            : { available: false, latest: null, byDayJst: [], byProduct: {}, note: 'Subscription レポートなし (サブスク未提供 or 期間内にデータ無し)' };
+        if (eventsByDay.length) {
+            const totals = emptyEventCounts();
+            for (const d of eventsByDay) for (const k of EVENT_KINDS) totals[k] += d[k];
+            totals.grossAdds = totals.start;
+            totals.grossChurn = totals.cancel + totals.refund;
+            totals.net = totals.grossAdds - totals.grossChurn;
+            out.subscriptionEvents = {
+                available: true,
+                byDayJst: eventsByDay,
+                byProduct: eventsByProduct,
+                byEvent: eventsByName, // Apple の Event 文言そのまま (区分け漏れの確認用)
+                totals,
+                meta: { daysWithReport: eventsByDay.length },
+            };
+        } else {
+            out.subscriptionEvents = {
+                available: false, byDayJst: [], byProduct: {}, byEvent: {}, totals: null,
+                note: 'Subscription Event レポートなし (サブスク未提供 or 期間内にイベント無し)',
+            };
+        }
     }
-    return { status: 200, activeSubscriptions: active };
+    return out;
 }
 
 export async function pullAppStore(opts = {}) {
-    const windowDays = opts.windowDays ?? 7;
+    const window = windowFromOpts(opts, 7);
     const bundleId = opts.bundleId ?? DEFAULT_BUNDLE_ID;
     const wantSubscriptions = opts.subscriptions ?? true;
+    const useCache = opts.cache ?? true;
 
     let creds;
     try {
@@ -205,17 +586,10 @@ export async function pullAppStore(opts = {}) {
     }
 
     try {
-        const jwt = makeJwt(creds);
+        const client = createAscClient(creds);
         // 認証疎通 + 対象アプリの numeric id を bundleId から解決 (フィルタの正)。
-        let app;
-        try {
-            const q = new URLSearchParams({ 'filter[bundleId]': bundleId, 'fields[apps]': 'name,bundleId,sku' });
-            const res = await ascGet(jwt, `/v1/apps?${q}`);
-            if (res.ok) {
-                const a = (await res.json()).data?.[0];
-                if (a) app = { id: a.id, name: a.attributes?.name, bundleId: a.attributes?.bundleId, sku: a.attributes?.sku };
-            }
-        } catch { /* best-effort: 解決に失敗してもフォールバック app id で続行 */ }
+        // best-effort: 解決に失敗してもフォールバック app id で続行。
+        const app = await lookupApp(client, bundleId);
 
         const appId = opts.appId ?? app?.id ?? DEFAULT_APP_ID;
         const out = {
@@ -234,119 +608,155 @@ export async function pullAppStore(opts = {}) {
             return out;
         }
 
-        const byDay = [];
-        let daysNoReport = 0, daysError = 0;
-        let salesError = null;
-        const proceedsByCurrency = {};
-        const subsByDay = [];
-        // 直近 windowDays 日を 1 日ずつ (Sales Report は日別 1 リクエスト、~1-2 日遅延)。
-        for (let i = 1; i <= windowDays; i++) {
-            const reportDate = new Date(Date.now() - i * DAY_MS).toISOString().slice(0, 10);
-            try {
-                const r = await fetchSalesForDate(jwt, vendorNumber, reportDate);
-                if (r.systemic) {
-                    // 全日共通の systemic エラー (キーのロール不足など)。ループを止めて理由を明示する。
-                    salesError = `salesReports HTTP ${r.status}: ${r.detail || 'アクセス不可'} — ` +
-                        'ASC API キーに Sales/Finance/Admin ロールが必要 (現キーは TestFlight 配布用ロールで販売レポート不可)';
-                    break;
-                }
-                if (r.status === 404) { daysNoReport++; continue; }
-                const agg = parseSalesTsv(r.tsv, appId);
-                // レポートは存在するが対象アプリの行がゼロ = DL ゼロの日。明示的にゼロ行を積む。
-                const day = agg ?? { firstDownloads: 0, redownloads: 0, updates: 0, iapUnits: 0, proceedsByCurrency: {} };
-                byDay.push({
-                    day: reportDate,
-                    firstDownloads: day.firstDownloads,
-                    redownloads: day.redownloads,
-                    updates: day.updates,
-                    iapUnits: day.iapUnits,
-                });
-                for (const [ccy, amt] of Object.entries(day.proceedsByCurrency)) {
-                    proceedsByCurrency[ccy] = Math.round(((proceedsByCurrency[ccy] ?? 0) + amt) * 100) / 100;
-                }
-            } catch {
-                daysError++; // 個別日の失敗は無視して継続 (レポート未確定日など)。
-            }
-            if (wantSubscriptions) {
-                try {
-                    const s = await fetchSubscriptionsForDate(jwt, vendorNumber, reportDate, appId);
-                    if (s.status === 200) subsByDay.push({ day: reportDate, activeSubscriptions: s.activeSubscriptions });
-                } catch { /* サブスク未対応アプリ等は無視 */ }
-            }
-        }
-        byDay.sort((a, b) => a.day.localeCompare(b.day));
-        subsByDay.sort((a, b) => a.day.localeCompare(b.day));
-
-        const totals = byDay.reduce(
-            (acc, d) => ({
-                firstDownloads: acc.firstDownloads + d.firstDownloads,
-                redownloads: acc.redownloads + d.redownloads,
-                updates: acc.updates + d.updates,
-                iapUnits: acc.iapUnits + d.iapUnits,
-            }),
-            { firstDownloads: 0, redownloads: 0, updates: 0, iapUnits: 0 },
-        );
-        out.downloads = {
-            vendorNumber,
-            appId,
-            windowDays,
-            byDayJst: byDay,
-            totals,
-            proceedsByCurrency,
-            meta: { daysWithReport: byDay.length, daysNoReport, daysError },
-            ...(salesError ? { error: salesError } : {}),
-        };
-        if (wantSubscriptions) {
-            out.subscriptions = subsByDay.length
-                ? { byDayJst: subsByDay, latest: subsByDay[subsByDay.length - 1]?.activeSubscriptions ?? 0 }
-                : { available: false, note: 'Subscription レポートなし (サブスク未提供 or 期間内にデータ無し)' };
-        }
+        const collected = await collectVendorDays(client, vendorNumber, window, { useCache, subscriptions: wantSubscriptions, concurrency: opts.concurrency });
+        const sku = opts.sku ?? app?.sku;
+        Object.assign(out, summarizeApp(collected, appId, { vendorNumber, window, subscriptions: wantSubscriptions, sku }));
         return out;
     } catch (err) {
         return { configured: false, error: err.message, app: { label: APP_LABEL, bundleId } };
     }
 }
 
+// ---- 複数アプリ (ASC チーム配下) を 1 回の vendor レポート取得で集計 ----
+// apps: 'all' (チーム配下すべて) か bundleId の配列。vendor の日次 Sales/Subscription を各日 1 回だけ取得し、
+// Apple Identifier で各アプリに振り分ける。返り値の apps[] は各要素が pullAppStore と同じ形。
+export async function pullAppStoreMulti(opts = {}) {
+    const window = windowFromOpts(opts, 7);
+    const wantSubscriptions = opts.subscriptions ?? true;
+    const useCache = opts.cache ?? true;
+
+    let creds;
+    try {
+        creds = loadCreds();
+    } catch (err) {
+        return { configured: false, error: `creds: ${err.message}`, apps: [] };
+    }
+    try {
+        const client = createAscClient(creds);
+        const teamApps = await listApps(client);
+        const wanted = opts.apps === 'all' || !opts.apps ? null : new Set(opts.apps);
+        const targets = wanted ? teamApps.filter((a) => wanted.has(a.bundleId)) : teamApps;
+        const missing = wanted ? [...wanted].filter((b) => !teamApps.some((a) => a.bundleId === b)) : [];
+
+        const vendorNumber = creds.vendorNumber;
+        if (!vendorNumber) {
+            return { configured: false, error: 'ASC_VENDOR_NUMBER 未設定 (複数アプリ集計は vendor レポートが前提)', apps: [] };
+        }
+        const collected = await collectVendorDays(client, vendorNumber, window, { useCache, subscriptions: wantSubscriptions, concurrency: opts.concurrency });
+        const apps = targets.map((app) => ({
+            configured: true,
+            app,
+            appIdUsedForFilter: app.id,
+            ...summarizeApp(collected, app.id, { vendorNumber, window, subscriptions: wantSubscriptions, sku: app.sku }),
+        }));
+        return { configured: true, vendorNumber, windowDays: window.days, apps, ...(missing.length ? { missingBundleIds: missing } : {}) };
+    } catch (err) {
+        return { configured: false, error: err.message, apps: [] };
+    }
+}
+
+// ---- アプリ別の結果をポートフォリオ合計に畳む (totals と有効サブスクを単純合算。proceeds は通貨別のまま) ----
+export function portfolioRollup(multi) {
+    const totals = { firstDownloads: 0, redownloads: 0, updates: 0, iapUnits: 0, subscriptionUnits: 0 };
+    const proceedsByCurrency = {}, subscriptionProceedsByCurrency = {};
+    let activeSubscriptions = 0;
+    const apps = [];
+    for (const a of multi.apps ?? []) {
+        const t = a.downloads?.totals ?? {};
+        for (const k of Object.keys(totals)) totals[k] += t[k] ?? 0;
+        addByCurrency(proceedsByCurrency, a.downloads?.proceedsByCurrency);
+        addByCurrency(subscriptionProceedsByCurrency, a.downloads?.subscriptionProceedsByCurrency);
+        const latest = a.subscriptions?.available === false ? 0 : (a.subscriptions?.latest ?? 0);
+        activeSubscriptions += latest;
+        apps.push({ id: a.app.id, name: a.app.name, bundleId: a.app.bundleId, totals: t, activeSubscriptions: latest });
+    }
+    return { vendorNumber: multi.vendorNumber, windowDays: multi.windowDays, apps, totals, activeSubscriptions, proceedsByCurrency, subscriptionProceedsByCurrency };
+}
+
 // ---- CLI ----
 function parseArgs(argv) {
-    const args = { windowDays: 7, subscriptions: true };
+    const args = { subscriptions: true };
+    const windowSpec = { days: 7 };
     for (let i = 0; i < argv.length; i++) {
         const a = argv[i];
-        if (a === '--list-apps') args.listApps = true;
+        const next = takeWindowFlag(argv, i, windowSpec);
+        if (next >= 0) i = next;
+        else if (a === '--list-apps') args.listApps = true;
         else if (a === '--no-subscriptions') args.subscriptions = false;
-        else if (a === '--days') args.windowDays = Number(argv[++i]) || args.windowDays;
+        else if (a === '--no-cache') args.cache = false;
+        else if (a === '--backfill') args.backfill = true;
+        else if (a === '--since') args.since = argv[++i];
+        else if (a === '--concurrency') args.concurrency = Math.max(1, Number(argv[++i]) || 1);
         else if (a === '--bundle-id') args.bundleId = argv[++i];
         else if (a === '--app-id') args.appId = argv[++i];
-        else if (/^\d+$/.test(a)) args.windowDays = Number(a);
+        else if (a === '--sku') args.sku = argv[++i];
+        else if (a === '--apps') args.apps = argv[++i] === 'all' ? 'all' : argv[i].split(',');
+        else if (/^\d+$/.test(a)) windowSpec.days = Number(a);
     }
+    if (!args.backfill && !args.listApps) args.window = resolveWindow(windowSpec);
     return args;
 }
 
 async function main() {
-    const args = parseArgs(process.argv.slice(2));
+    const args = parseArgs(applyHttpFlags(process.argv.slice(2)));
     if (args.listApps) {
         const creds = loadCreds();
-        const apps = await listApps(makeJwt(creds));
+        const apps = await listApps(createAscClient(creds));
         process.stderr.write(`ASC チーム配下 ${apps.length} アプリ:\n`);
         for (const a of apps) process.stderr.write(`  ${a.id}  ${a.bundleId}  sku=${a.sku}  ${a.name}\n`);
         process.stdout.write(JSON.stringify(apps, null, 2) + '\n');
         return;
     }
+    if (args.backfill) {
+        const stats = await backfillAppStore(args);
+        process.stderr.write(
+            `[${APP_LABEL}] backfill ${stats.since}〜${stats.until}: 取得 ${stats.fetched} / キャッシュ済 ${stats.cached} / ` +
+            `レポート無し ${stats.noReport} / 失敗 ${stats.errors} (レポート×日、一時エラーの取り直し ${stats.retried})\n` +
+            (stats.failedDays ? `  取り直しても取れなかった日 (次回また取りに行く): ${stats.failedDays.join(', ')}\n` : ''),
+        );
+        process.stdout.write(JSON.stringify(stats, null, 2) + '\n');
+        return;
+    }
+    if (args.apps) {
+        const multi = await pullAppStoreMulti(args);
+        const roll = multi.configured ? portfolioRollup(multi) : null;
+        process.stderr.write(
+            (multi.configured
+                ? [`App Store 複数アプリ集計 (${args.window.label}: ${args.window.from}〜${args.window.to}, ${multi.apps.length} アプリ)`,
+                    ...roll.apps.map((a) => `  ${a.bundleId}: 新規DL ${a.totals.firstDownloads ?? 0} / 有効サブスク ${a.activeSubscriptions}`),
+                    `  合計: 新規DL ${roll.totals.firstDownloads} / 有効サブスク ${roll.activeSubscriptions}`]
+                : [`App Store 複数アプリ集計: skip (${multi.error})`]).join('\n') + '\n',
+        );
+        process.stdout.write(JSON.stringify({ ...multi, portfolio: roll }, null, 2) + '\n');
+        return;
+    }
     const data = await pullAppStore(args);
     const d = data.downloads;
     process.stderr.write(
         [
-            `[${APP_LABEL}] App Store 収集 (直近 ${args.windowDays} 日)`,
+            `[${APP_LABEL}] App Store 収集 (${args.window.label}: ${args.window.from}〜${args.window.to})`,
             data.configured
                 ? `  app: ${data.app?.name ?? data.app?.label} (id ${data.appIdUsedForFilter ?? '?'} / ${data.app?.bundleId})`
                 : `  skip: ${data.error}`,
             d && d.error
                 ? `  DL: 取得不可 — ${d.error}`
                 : d && d.totals
-                ? `  DL 合計: 新規 ${d.totals.firstDownloads} / 再DL ${d.totals.redownloads} / 更新 ${d.totals.updates} / 課金unit ${d.totals.iapUnits}  (レポート有 ${d.meta.daysWithReport}日 / 無 ${d.meta.daysNoReport}日)`
+                ? `  DL 合計: 新規 ${d.totals.firstDownloads} / 再DL ${d.totals.redownloads} / 更新 ${d.totals.updates} / 課金unit ${d.totals.iapUnits} / サブスク等 unit ${d.totals.subscriptionUnits}  (レポート有 ${d.meta.daysWithReport}日 / 無 ${d.meta.daysNoReport}日 / キャッシュ ${d.meta.daysFromCache}日)` +
+                  (d.meta.failedDays ? `\n  取得失敗 (取り直し後も): ${d.meta.failedDays.join(', ')}` : '') +
+                  (data.completeness?.provisionalDays.length ? `\n  未確定の日 (後で reconcile.mjs が取り直す): ${data.completeness.provisionalDays.join(', ')}` : '')
                 : `  DL: ${d?.note ?? 'n/a'}`,
+            d?.byCountry && Object.keys(d.byCountry).length
+                ? `  新規DL 上位国: ${Object.entries(d.byCountry).slice(0, 5).map(([k, v]) => `${k} ${v.firstDownloads}`).join(' / ')}`
+                : '',
             data.subscriptions
-                ? `  サブスク: ${data.subscriptions.available === false ? 'なし' : '有効 ' + data.subscriptions.latest}`
+                ? `  サブスク: ${data.subscriptions.available === false ? 'なし' : '有効 ' + data.subscriptions.latest}` +
+                  (data.subscriptions.byProduct
+                      ? ` (${Object.entries(data.subscriptions.byProduct).map(([n, v]) => `${n}${v.duration ? `/${v.duration}` : ''} ${v.active}`).join(', ')})`
+                      : '')
+                : '',
+            data.subscriptionEvents?.totals
+                ? `  サブスクイベント: 新規 ${data.subscriptionEvents.totals.grossAdds} / 解約 ${data.subscriptionEvents.totals.grossChurn}` +
+                  ` (返金 ${data.subscriptionEvents.totals.refund}) / 転換 ${data.subscriptionEvents.totals.conversion} / 更新 ${data.subscriptionEvents.totals.renew} / 請求リトライ ${data.subscriptionEvents.totals.billingRetry}`
                 : '',
         ].filter(Boolean).join('\n') + '\n',
     );
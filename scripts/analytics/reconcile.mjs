@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — 未確定日の取り直しと訂正値の発行 (依存ゼロ / Node 標準モジュールのみ)
+//
+// Sales などの日次レポートは 1〜2 日遅れで出る。月曜に撮ったスナップショットは直近の日が「レポート無し」のまま残り、
+// 以後の傾向・前後比較がその日をゼロや欠けとして読んでしまう。ここで履歴を見直し、未確定日 (snapshot-store.provisionalDays) の
+// あるスナップショットだけ、同じ窓・同じアプリで pull-appstore を撮り直す。
+//   - 確定済みの日は日次キャッシュから読むので、実際に取りに行くのは未確定日のレポートだけ (同じ日はプロセス内で 1 回)。
+//   - 1 日でも確定したら reconciled/<stamp>.json に App Store 系セクション (downloads / subscriptions / subscriptionEvents /
+//     completeness) と、それを元に計算し直した revenue (為替レートが読めるとき) / derived を書く。元のスナップショットは書き換えない。
+//     loadSnapshot が既定で重ねて読むので、trends / campaigns / experiments / compare-snapshots はそのまま訂正値を使う。
+//   - 撮り直しで前は確定だった日が確定でなくなった (取得失敗など) ときは書かない (悪い値で上書きしない)。次回また試す。
+//   - 重ねた後の形がスキーマに合わなければ書かない。
+//
+// 使い方:
+//   node scripts/analytics/reconcile.mjs [--dir analytics/snapshots] [--dry-run] [--replay <dir>]
+//   (run-weekly.mjs がスナップショットの後に自動で呼ぶ。--no-reconcile で止める)
+//
+// 標準出力は訂正レポート JSON (スナップショットごとに確定した日・まだ未確定の日・訂正前後の合計)、標準エラーは要約。
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { applyHttpFlags, nowMs } from './http-replay.mjs';
+import { pullAppStore } from './pull-appstore.mjs';
+import { loadFxRates, buildRevenue } from './fx.mjs';
+import { deriveMetrics } from './derived.mjs';
+import { validateSnapshot } from './snapshot-schema.mjs';
+import { listSnapshots, loadSnapshot, snapshotWindow, provisionalDays, reconciledPath, applyReconciled, SNAPSHOT_DIR } from './snapshot-store.mjs';
+import { flattenNumeric, delta } from './compare-snapshots.mjs';
+import { reportingTimeZone } from './report-window.mjs';
+
+// 撮り直すセクション (この順で sections に入る)。revenue / derived は App Store の proceeds を含むので計算し直す。
+const APPSTORE_SECTIONS = ['downloads', 'subscriptions', 'subscriptionEvents', 'completeness'];
+// 訂正レポートに出す合計 (内訳の葉までは出さない)。
+const CORRECTED_PREFIXES = [
+    'appstore.downloads.totals.', 'appstore.downloads.proceedsByCurrency.', 'appstore.downloads.subscriptionProceedsByCurrency.', 'appstore.subscriptions.latest',
+    'appstore.subscriptionEvents.totals.', 'revenue.total', 'derived.totals.',
+];
+
+function correctedTotals(before, after) {
+    const pick = (snap) => Object.fromEntries(Object.entries(flattenNumeric(snap)).filter(([p]) => CORRECTED_PREFIXES.some((x) => p.startsWith(x))));
+    const a = pick(before), b = pick(after);
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()
+        .filter((p) => a[p] !== b[p])
+        .map((p) => ({ path: p, before: a[p] ?? null, after: b[p] ?? null, ...delta(a[p], b[p]) }));
+}
+
+// ---- 1 本のスナップショットを見直す。書いたら written:true ----
+// pull は差し替え可能 (run-weekly.mjs がリトライ + タイムアウトで包んだものを渡す)。
+export async function reconcileSnapshot(ref, { fx = null, fxError = null, pull = pullAppStore, dryRun = false } = {}) {
+    const snap = loadSnapshot(ref.path);
+    const pending = provisionalDays(snap);
+    const out = { stamp: ref.stamp, pending };
+    if (!pending.length) return { ...out, skipped: '未確定日なし' };
+    const w = snapshotWindow(snap);
+    if (!w) return { ...out, skipped: '窓を算出できない' };
+
+    const asc = snap.appstore;
+    const window = snap.window ?? { kind: 'range', from: w.from, to: w.to, days: w.days, timeZone: reportingTimeZone(), label: '期間指定' };
+    const fresh = await pull({
+        window,
+        appId: asc.appIdUsedForFilter ?? asc.app?.id,
+        bundleId: asc.app?.bundleId,
+        sku: asc.app?.sku,
+        subscriptions: asc.subscriptions !== undefined,
+    });
+    if (!fresh?.configured || !fresh.completeness) {
+        return { ...out, error: fresh?.error ?? fresh?.downloads?.error ?? fresh?.downloads?.note ?? '撮り直しで日次レポートを取れない' };
+    }
+    const stillProvisional = fresh.completeness.provisionalDays;
+    const fixedDays = pending.filter((d) => !stillProvisional.includes(d));
+    const regressed = stillProvisional.filter((d) => !pending.includes(d));
+    if (regressed.length) return { ...out, stillProvisional, error: `確定済みだった日が取れなくなった (${regressed.join(', ')})。上書きせず次回に回す` };
+    if (!fixedDays.length) return { ...out, fixedDays, stillProvisional };
+
+    const sections = {};
+    for (const key of APPSTORE_SECTIONS) if (fresh[key] !== undefined) sections[`appstore.${key}`] = fresh[key];
+    const after = applyReconciled(structuredClone(snap), { sections });
+    // revenue は為替レートが読めたときだけ計算し直す (読めなければ収集時のまま)。derived は takeSnapshot と同じくレート無しでも計算する。
+    if (fx) {
+        sections.revenue = buildRevenue({ appstore: after.appstore, admob: after.admob }, fx, window.to);
+        after.revenue = sections.revenue;
+    }
+    sections.derived = deriveMetrics(after, fx, window.to);
+    after.derived = sections.derived;
+    const schemaErrors = validateSnapshot(after);
+    if (schemaErrors.length) return { ...out, stillProvisional, error: `重ねた結果がスキーマに合わない: ${schemaErrors.slice(0, 3).join(' / ')}` };
+
+    const record = {
+        stamp: ref.stamp,
+        reconciledAtUtc: new Date(nowMs()).toISOString(),
+        fixedDays: [...new Set([...(snap._reconciled?.fixedDays ?? []), ...fixedDays])].sort(),
+        stillProvisional,
+        ...(fx ? {} : { note: `revenue は収集時のまま (${fxError ?? '為替レート無し'})` }),
+        sections,
+    };
+    if (!dryRun) {
+        const p = reconciledPath(ref.path);
+        mkdirSync(dirname(p), { recursive: true });
+        writeFileSync(p, JSON.stringify(record, null, 2) + '\n');
+    }
+    return { ...out, fixedDays, stillProvisional, written: !dryRun, corrections: correctedTotals(snap, after) };
+}
+
+// ---- 履歴全体を見直す ----
+export async function reconcileAll({ dir = SNAPSHOT_DIR, pull, dryRun = false } = {}) {
+    let fx = null, fxError = null;
+    try {
+        fx = loadFxRates();
+    } catch (err) {
+        fxError = `fx: ${err.message}`;
+    }
+    const refs = listSnapshots(dir);
+    const results = [];
+    for (const ref of refs) {
+        const r = await reconcileSnapshot(ref, { fx, fxError, pull, dryRun });
+        if (!r.skipped) results.push(r);
+    }
+    return {
+        dir,
+        checked: refs.length,
+        reconciled: results.filter((r) => r.fixedDays?.length && !r.error).map((r) => r.stamp),
+        results,
+    };
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { dir: SNAPSHOT_DIR, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') args.dir = resolve(argv[++i]);
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(applyHttpFlags(process.argv.slice(2)));
+    const report = await reconcileAll(args);
+    const lines = [`reconcile: スナップショット ${report.checked} 本中、未確定日あり ${report.results.length} 本${args.dryRun ? ' (--dry-run: 書き込みなし)' : ''}`];
+    for (const r of report.results) {
+        if (r.error) lines.push(`  ${r.stamp}: 失敗 — ${r.error}`);
+        else if (!r.fixedDays.length) lines.push(`  ${r.stamp}: 未確定のまま (${r.stillProvisional.join(', ')})`);
+        else {
+            lines.push(`  ${r.stamp}: 確定 ${r.fixedDays.join(', ')}${r.stillProvisional.length ? ` / 未確定のまま ${r.stillProvisional.join(', ')}` : ''}`);
+            for (const c of r.corrections) lines.push(`    ${c.path}: ${c.before ?? '—'} → ${c.after ?? '—'}`);
+        }
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
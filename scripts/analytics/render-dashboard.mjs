@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — 静的 HTML ダッシュボード (依存ゼロ / Node 標準モジュールのみ)
+//
+// 全スナップショット・experiments.md・campaigns.md を読み、週次レビュー用の HTML を 1 枚書き出す。
+// 外部 CDN・JS ライブラリは使わない (グラフはインライン SVG、ファイル単体で開ける)。
+//   - 日別系列は trends.mjs と同じく全スナップショットを結合 (新しい方優先) したもの:
+//     新規DL / 有効サブスク / AdMob 推定収益 / AdMob eCPM
+//   - 施策台帳の日付は縦の破線、実験の計測窓は帯で各グラフに重ねる (相関を目で追うため。因果ではない)
+//   - App Store の未確定日は trends.mjs と同じく既定で描かない (--include-provisional で含める)
+// 出力先 analytics/dashboard/ は gitignore 済み (集計値のみだが履歴と同じくローカルに置く)。
+//
+// 使い方:
+//   node scripts/analytics/render-dashboard.mjs [--dir analytics/snapshots] [--out analytics/dashboard/index.html] [--include-provisional]
+// 契約 (snapshot.mjs と同じ): 標準出力 = 書き出したパス 1 行、標準エラー = 要約。
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { listSnapshots, loadSnapshot, unresolvedProvisionalDays, SNAPSHOT_DIR } from './snapshot-store.mjs';
+import { SERIES, joinDaySeries, dailyValues } from './trends.mjs';
+import { CAMPAIGNS_MD, parseCampaigns } from './campaigns.mjs';
+import { EXPERIMENTS_MD, parseExperiments, resolveMeasurementWindow } from './experiments.mjs';
+import { addDays, daysBetween, reportingTimeZone } from './report-window.mjs';
+
+export const DASHBOARD_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/dashboard/index.html');
+
+// 描くグラフ。series = trends.mjs の SERIES の key。bar = 日別件数、line = 水準・金額・比率。
+const CHARTS = [
+    { series: 'firstDownloads', title: '新規DL (日別)', type: 'bar' },
+    { series: 'activeSubscriptions', title: '有効サブスク', type: 'line' },
+    { series: 'adEarnings', title: 'AdMob 推定収益 (日別)', type: 'line' },
+    { series: 'adEcpm', title: 'AdMob eCPM', type: 'line' },
+];
+const W = 960, H = 220, PAD = { left: 56, right: 16, top: 22, bottom: 28 };
+
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const fmt = (n) => (n == null ? '—' : Math.abs(n) >= 100 ? String(Math.round(n)) : String(Math.round(n * 100) / 100));
+
+// ---- 台帳 2 つ → グラフに重ねる印。読めない台帳は空 (ダッシュボードは止めない) ----
+function loadMarkers() {
+    const campaigns = existsSync(CAMPAIGNS_MD) ? parseCampaigns(readFileSync(CAMPAIGNS_MD, 'utf8')).rows : [];
+    const experiments = existsSync(EXPERIMENTS_MD)
+        ? parseExperiments(readFileSync(EXPERIMENTS_MD, 'utf8')).map((e) => ({ id: e.id, status: e.fields.status, ...resolveMeasurementWindow(e) }))
+        : [];
+    return { campaigns, experiments: experiments.filter((e) => e.from && e.to) };
+}
+
+// ---- 1 系列 → SVG。days は全グラフ共通の横軸 (日付の連番) ----
+export function renderChart({ title, type, values, days, markers, unit = '' }) {
+    const byDay = Object.fromEntries(values.map((v) => [v.day, v.value]));
+    const nums = values.map((v) => v.value).filter((v) => v != null);
+    const max = nums.length ? Math.max(...nums) : 0;
+    const yMax = max > 0 ? max * 1.1 : 1;
+    const plotW = W - PAD.left - PAD.right, plotH = H - PAD.top - PAD.bottom;
+    const step = plotW / Math.max(days.length, 1);
+    const x = (day) => PAD.left + (daysBetween(days[0], day) - 0.5) * step;
+    const y = (v) => PAD.top + plotH - (v / yMax) * plotH;
+    const inRange = (d) => d >= days[0] && d <= days[days.length - 1];
+    const parts = [];
+
+    // 実験の計測窓 (帯) は最背面。
+    for (const e of markers.experiments) {
+        const from = e.from < days[0] ? days[0] : e.from, to = e.to > days[days.length - 1] ? days[days.length - 1] : e.to;
+        if (from > to) continue;
+        parts.push(`<rect x="${x(from) - step / 2}" y="${PAD.top}" width="${x(to) - x(from) + step}" height="${plotH}" fill="#f2c14e" opacity="0.18"><title>${esc(`${e.id} (${e.status ?? '?'}) ${e.from}〜${e.to}`)}</title></rect>`);
+    }
+    for (let k = 0; k <= 4; k++) {
+        const v = (yMax / 4) * k;
+        parts.push(`<line x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(v)}" y2="${y(v)}" stroke="#e5e5e5"/>`);
+        parts.push(`<text x="${PAD.left - 6}" y="${y(v) + 4}" text-anchor="end" font-size="10" fill="#777">${fmt(v)}</text>`);
+    }
+    // 横軸ラベルは 7 日おき (週次レビューの区切り)。
+    for (let i = 0; i < days.length; i += 7) {
+        parts.push(`<text x="${x(days[i])}" y="${H - 8}" text-anchor="middle" font-size="10" fill="#777">${days[i].slice(5)}</text>`);
+    }
+    if (type === 'bar') {
+        for (const d of days) {
+            const v = byDay[d];
+            if (v == null) continue;
+            parts.push(`<rect x="${x(d) - step * 0.4}" y="${y(v)}" width="${step * 0.8}" height="${PAD.top + plotH - y(v)}" fill="#4a7bd0"><title>${d}: ${fmt(v)}${unit}</title></rect>`);
+        }
+    } else {
+        // 欠けた日で線を切る (補間して「データがあるように」見せない)。
+        let path = '', pen = false;
+        for (const d of days) {
+            const v = byDay[d];
+            if (v == null) { pen = false; continue; }
+            path += `${pen ? 'L' : 'M'}${x(d).toFixed(1)},${y(v).toFixed(1)}`;
+            pen = true;
+        }
+        parts.push(`<path d="${path}" fill="none" stroke="#4a7bd0" stroke-width="2"/>`);
+        for (const d of days) {
+            if (byDay[d] != null) parts.push(`<circle cx="${x(d)}" cy="${y(byDay[d])}" r="2.5" fill="#4a7bd0"><title>${d}: ${fmt(byDay[d])}${unit}</title></circle>`);
+        }
+    }
+    // 施策日 (縦の破線) は最前面。
+    for (const c of markers.campaigns) {
+        if (!inRange(c.date)) continue;
+        parts.push(`<line x1="${x(c.date)}" x2="${x(c.date)}" y1="${PAD.top}" y2="${PAD.top + plotH}" stroke="#d0574a" stroke-dasharray="4 3"><title>${esc(`#${c.n} ${c.date} [${c.channel}] ${c.detail}`)}</title></line>`);
+        parts.push(`<text x="${x(c.date) + 3}" y="${PAD.top - 6}" font-size="10" fill="#d0574a">#${c.n}</text>`);
+    }
+    const last = nums.length ? fmt(nums[nums.length - 1]) : '—';
+    return `<section><h2>${esc(title)} <small>最新 ${last}${esc(unit)}</small></h2>` +
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="${esc(title)}">${parts.join('')}</svg></section>`;
+}
+
+// ---- スナップショット群 + 台帳 → HTML 文字列 ----
+export function renderDashboard(snapshots, markers, { generatedAt = new Date(), includeProvisional = false } = {}) {
+    const joined = joinDaySeries(snapshots, { includeProvisional });
+    const pending = unresolvedProvisionalDays(snapshots);
+    const latest = snapshots[snapshots.length - 1] ?? {};
+    const series = Object.fromEntries(CHARTS.map((c) => [c.series, dailyValues(joined, SERIES.find((s) => s.key === c.series))]));
+    const allDays = Object.values(series).flatMap((v) => v.map((p) => p.day)).sort();
+    const days = [];
+    if (allDays.length) for (let d = allDays[0]; d <= allDays[allDays.length - 1]; d = addDays(d, 1)) days.push(d);
+
+    // 日付は報告タイムゾーンの暦日 (最新スナップショットの窓の TZ。窓を持たない旧スナップショットなら今の設定)。
+    const timeZone = latest.window?.timeZone ?? reportingTimeZone();
+    const currency = latest.admob?.currency ? ` ${latest.admob.currency}` : '';
+    const charts = days.length
+        ? CHARTS.map((c) => renderChart({ ...c, values: series[c.series], days, markers, unit: c.series.startsWith('ad') ? currency : '' })).join('\n')
+        : '<p>日別系列のあるスナップショットがまだ無い。</p>';
+    const campaignRows = markers.campaigns.map((c) => `<tr><td>#${c.n}</td><td>${esc(c.date)}</td><td>${esc(c.channel)}</td><td>${esc(c.detail)}</td><td>${esc(c.notes)}</td></tr>`).join('');
+    const experimentRows = markers.experiments.map((e) => `<tr><td>${esc(e.id)}</td><td>${esc(e.status)}</td><td>${esc(e.from)}〜${esc(e.to)}</td></tr>`).join('');
+
+    return `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>BodyLapse グロースダッシュボード</title>
+<style>
+body { font-family: -apple-system, "Hiragino Sans", sans-serif; margin: 24px auto; max-width: 1000px; color: #222; }
+h1 { font-size: 20px; } h2 { font-size: 15px; margin: 24px 0 4px; } small { color: #777; font-weight: normal; }
+table { border-collapse: collapse; font-size: 12px; } td, th { border-bottom: 1px solid #eee; padding: 3px 8px; text-align: left; }
+.legend span { margin-right: 16px; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>BodyLapse グロースダッシュボード</h1>
+<p><small>生成 ${esc(generatedAt.toISOString())} · スナップショット ${snapshots.length} 本${days.length ? ` · ${days[0]}〜${days[days.length - 1]} (${esc(timeZone)})` : ''}</small></p>
+${pending.length ? `<p><small>App Store の未確定日 ${pending.length} 日 (${esc(pending[0])}〜${esc(pending[pending.length - 1])}) は${includeProvisional ? '暫定値のまま含む' : '除外 (reconcile.mjs で取り直すと戻る)'}</small></p>\n` : ''}<p class="legend"><span style="color:#d0574a">┆ 施策 (campaigns.md)</span><span style="background:#f2c14e4d">　　</span><span>実験の計測窓 (experiments.md)</span></p>
+${charts}
+<h2>施策</h2>
+${campaignRows ? `<table><tr><th>#</th><th>date</th><th>channel</th><th>detail</th><th>notes</th></tr>${campaignRows}</table>` : '<p><small>台帳に記録なし</small></p>'}
+<h2>実験の計測窓</h2>
+${experimentRows ? `<table><tr><th>id</th><th>status</th><th>計測窓</th></tr>${experimentRows}</table>` : '<p><small>日付に解釈できる計測窓の実験なし</small></p>'}
+</body>
+</html>
+`;
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { dir: SNAPSHOT_DIR, out: DASHBOARD_PATH, includeProvisional: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') args.dir = resolve(argv[++i]);
+        else if (argv[i] === '--out') args.out = resolve(argv[++i]);
+        else if (argv[i] === '--include-provisional') args.includeProvisional = true;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const snapshots = listSnapshots(args.dir).map((r) => loadSnapshot(r.path));
+    const markers = loadMarkers();
+    mkdirSync(dirname(args.out), { recursive: true });
+    writeFileSync(args.out, renderDashboard(snapshots, markers, { includeProvisional: args.includeProvisional }));
+    process.stderr.write(
+        `ダッシュボード: ${args.out}\n` +
+        `  スナップショット ${snapshots.length} 本 · 施策 ${markers.campaigns.length} 件 · 実験窓 ${markers.experiments.length} 件\n`,
+    );
+    process.stdout.write(args.out + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
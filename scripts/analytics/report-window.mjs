@@ -0,0 +1,143 @@
+// グロース分析ハーネス — 集計窓 (暦日の範囲) と報告タイムゾーン (依存ゼロ / Node 標準モジュールのみ)
+//
+// 以前は収集スクリプトごとに「nowMs() から N 日遡る」を UTC の toISOString() で別々に計算し、
+// スナップショットのファイル名だけ JST (+9h 固定) だった。ここで窓を 1 回だけ決め、ASC Sales / App Analytics / AdMob が
+// **同じ暦日の範囲** [from, to] (両端含む) を取るようにする。前後比較が同じ日付同士の比較になる。
+//   - 窓の指定: 直近 N 日 (既定、昨日まで) / --from YYYY-MM-DD --to YYYY-MM-DD / --week 2026-W42 (ISO 週、月〜日) / --month 2026-10。
+//   - 「今日」「昨日」は報告タイムゾーンで決める (--tz / env GROWTH_TIME_ZONE、既定 Asia/Tokyo)。スナップショットのファイル名も同じ TZ。
+//   - 窓の終わりが今日以降にかかる指定 (今週・今月など) は昨日までに切り詰め、truncated:true を付ける (当日は未確定)。
+//   - 日の境界そのものは各ソースの定義のまま (ASC の日次レポート・AdMob はアカウントの報告 TZ・App Analytics は行の Date)。
+//     ここで揃えるのは「どの暦日を取るか」。byDayJst などの系列名は歴史的な名前で、中身は報告 TZ の暦日。
+import { nowMs } from './http-replay.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+// 日次レポートの「レポート無し」(404) を確定とみなすまでの日数。Sales は ~1-2 日遅れで出るので、直近の 404 は「未着」であって
+// 「ゼロ」ではない。これより古い日の 404 は vendor 全体でゼロの日として確定扱い。pull-appstore (キャッシュ・completeness) と
+// snapshot-store (completeness の無い旧スナップショットの未確定日) が共有するので、依存の無いここに置く。
+export const NO_REPORT_FINAL_AFTER_DAYS = 5;
+// reportDate の「レポート無し」が atMs の時点で確定 (NO_REPORT_FINAL_AFTER_DAYS を過ぎた) か。
+export function isNoReportFinal(reportDate, atMs = nowMs()) {
+    return atMs - Date.parse(`${reportDate}T00:00:00Z`) > NO_REPORT_FINAL_AFTER_DAYS * DAY_MS;
+}
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ---- 報告タイムゾーン。IANA 名として解釈できなければ例外 ----
+export function reportingTimeZone(tz = null) {
+    const zone = tz || process.env.GROWTH_TIME_ZONE || DEFAULT_TIME_ZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    } catch {
+        throw new Error(`タイムゾーンとして解釈できない: ${zone} (IANA 名。例: Asia/Tokyo, America/Los_Angeles, UTC)`);
+    }
+    return zone;
+}
+
+// ---- 時刻 (ms) をタイムゾーン tz の暦日 YYYY-MM-DD と時分 HHMM に ----
+export function zonedParts(ms, tz = reportingTimeZone()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        }).formatToParts(new Date(ms)).map((p) => [p.type, p.value]),
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}${parts.minute}` };
+}
+export function zonedDate(ms, tz) {
+    return zonedParts(ms, tz).date;
+}
+
+// ---- 暦日の演算 (日付だけを扱うので UTC の真夜中で計算してよい) ----
+export function addDays(ymd, n) {
+    return new Date(Date.parse(`${ymd}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+export function eachDay(from, to) {
+    const out = [];
+    for (let d = from; d <= to; d = addDays(d, 1)) out.push(d);
+    return out;
+}
+
+// ---- ISO 週 (月曜始まり、その年の最初の木曜を含む週が W01) ----
+export function isoWeekOf(ymd) {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7) + 3); // その週の木曜
+    const year = d.getUTCFullYear(); // 木曜の属する年 = ISO 年
+    const week = 1 + Math.floor((d - Date.UTC(year, 0, 1)) / DAY_MS / 7);
+    return `${year}-W${String(week).padStart(2, '0')}`;
+}
+export function isoWeekRange(spec) {
+    const m = String(spec).match(/^(\d{4})-W(\d{2})$/);
+    if (!m) throw new Error(`--week は YYYY-Www (例: 2026-W42): ${spec}`);
+    const jan4 = new Date(Date.UTC(Number(m[1]), 0, 4));
+    const week1Monday = addDays(jan4.toISOString().slice(0, 10), -((jan4.getUTCDay() + 6) % 7));
+    const from = addDays(week1Monday, (Number(m[2]) - 1) * 7);
+    if (Number(m[2]) < 1 || isoWeekOf(from) !== spec) throw new Error(`${m[1]} 年に ${spec} は無い`);
+    return { from, to: addDays(from, 6) };
+}
+export function monthRange(spec) {
+    const m = String(spec).match(/^(\d{4})-(\d{2})$/);
+    if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) throw new Error(`--month は YYYY-MM (例: 2026-10): ${spec}`);
+    const next = new Date(Date.UTC(Number(m[1]), Number(m[2]), 1)).toISOString().slice(0, 10);
+    return { from: `${spec}-01`, to: addDays(next, -1) };
+}
+
+// ---- 窓の指定 → { kind, from, to, days, timeZone, label, truncated? } ----
+// spec: { days } (直近 N 日、昨日まで) | { from, to } | { week } | { month }。timeZone は省略時 reportingTimeZone()。
+export function resolveWindow(spec = {}, { now = nowMs() } = {}) {
+    const timeZone = reportingTimeZone(spec.timeZone);
+    const yesterday = addDays(zonedDate(now, timeZone), -1);
+    const given = ['week', 'month'].filter((k) => spec[k]).concat(spec.from || spec.to ? ['from/to'] : []);
+    if (given.length > 1) throw new Error(`窓の指定が重複: ${given.join(' と ')} (どれか 1 つ)`);
+
+    let kind, from, to, label;
+    if (spec.week) {
+        ({ from, to } = isoWeekRange(spec.week));
+        kind = 'week';
+        label = spec.week;
+    } else if (spec.month) {
+        ({ from, to } = monthRange(spec.month));
+        kind = 'month';
+        label = spec.month;
+    } else if (spec.from || spec.to) {
+        if (!YMD_RE.test(spec.from ?? '')) throw new Error('--from YYYY-MM-DD が必要 (--to だけは不可)');
+        if (spec.to && !YMD_RE.test(spec.to)) throw new Error(`--to は YYYY-MM-DD: ${spec.to}`);
+        from = spec.from;
+        to = spec.to ?? yesterday;
+        kind = 'range';
+        label = '期間指定';
+    } else {
+        const days = Number(spec.days ?? 30);
+        if (!Number.isInteger(days) || days < 1) throw new Error(`窓の日数は 1 以上の整数: ${spec.days}`);
+        to = yesterday;
+        from = addDays(to, -(days - 1));
+        kind = 'rolling';
+        label = `直近 ${days} 日`;
+    }
+    if (from > to) throw new Error(`窓が空 (${from} > ${to})`);
+    let truncated = false;
+    if (to > yesterday) {
+        if (from > yesterday) throw new Error(`窓 ${label} はまだ始まっていない (昨日 = ${yesterday}, ${timeZone})`);
+        to = yesterday;
+        truncated = true;
+    }
+    return { kind, from, to, days: daysBetween(from, to), timeZone, label, ...(truncated ? { truncated } : {}) };
+}
+
+// ---- CLI 引数の窓フラグを spec に取り込む。消費したら次の添字、対象外なら -1 ----
+// 各収集スクリプト / snapshot.mjs / run-weekly.mjs で共通に使う (位置引数の日数はそれぞれの parseArgs が読む)。
+const WINDOW_FLAGS = { '--from': 'from', '--to': 'to', '--week': 'week', '--month': 'month', '--tz': 'timeZone', '--days': 'days' };
+export function takeWindowFlag(argv, i, spec) {
+    const key = WINDOW_FLAGS[argv[i]];
+    if (!key) return -1;
+    const v = argv[i + 1];
+    if (v === undefined) throw new Error(`${argv[i]} に値が無い`);
+    spec[key] = key === 'days' ? Number(v) : v;
+    return i + 1;
+}
+
+// ---- 収集関数の opts から窓を得る (snapshot.mjs から解決済みの window が渡ればそれ、無ければ windowDays の直近窓) ----
+export function windowFromOpts(opts, defaultDays) {
+    return opts.window ?? resolveWindow({ days: opts.windowDays ?? defaultDays });
+}
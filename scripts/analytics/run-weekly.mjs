@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — 週次の無人実行ランナー (常駐なし / 依存ゼロ / Node 標準モジュールのみ)
+//
+// cron / systemd timer / launchd から 1 回呼ばれて終わる。やること:
+//   1. ロックを取る (analytics/runs/run-weekly.lock)。別の実行が生きていれば何もせず終了コード 3。
+//      持ち主のプロセスが居ない・LOCK_STALE_MS を過ぎたロックは奪う (前回のクラッシュで残ったもの)。
+//   2. snapshot.mjs の takeSnapshot を、各収集関数をリトライ + タイムアウトで包んで呼ぶ。
+//      - リトライ対象は error 付きの configured:false だけ (資格情報の不足 `creds:` や未認証 note は何度やっても同じなので即あきらめる)。
+//      - タイムアウトは Promise.race。打ち切った収集は裏で走り続け得る (キャッシュも書く) ので、タイムアウトした収集は再試行しない。
+//        残った HTTP はランナーが最後に process.exit するので溜まらない。
+//   3. 保持ポリシーで古いスナップショットを間引く: 直近 RETAIN_DAILY_DAYS 日は 1 日 1 本 (その日の最後)、それより前は ISO 週に 1 本。
+//      残すのは「成功した (どれかのソースが configured:true の) 最後の 1 本」で、全ソース configured:false のものは同じ日・週の
+//      成功したものを押しのけない。今回の実行が ok / partial のときだけ間引く (失敗した回に履歴を減らさない)。
+//      消したスナップショットに対応する portfolio/<stamp>/ と reconciled/<stamp>.json も消す。
+//   4. 未確定日の取り直し (reconcile.mjs)。過去のスナップショットで遅延未着だった日を取り直し、確定したら訂正値を重ねる。
+//      失敗しても実行の成否には数えない (次回また試す)。--no-reconcile で止める。
+//   5. 実行ログを analytics/runs/run-weekly.jsonl に 1 行追記し、同じ JSON を標準出力に出す。
+//      途中で例外が出ても status:'failed' + error の記録にして、ログ・通知・終了コード 1 は同じ道筋で出す。
+//   6. 通知 (失敗・一部失敗のとき。--notify-always で毎回): ローカルの webhook (localhost / 127.0.0.1 / ::1 のみ) に POST するか、
+//      ファイルに 1 行追記する。外部サービスへは直接送らない (中継はローカル側の責任)。
+//
+// 終了コード: 0 = 保存できた (一部ソース失敗を含む) / 1 = 全ソース失敗 or スナップショットを保存できなかった / 2 = 引数不正 / 3 = 別の実行中でスキップ
+//
+// 使い方:
+//   node scripts/analytics/run-weekly.mjs [windowDays=30 | --week 2026-W42 | --month 2026-10 | --from .. --to ..] [--tz Asia/Tokyo] [--retries 2] [--timeout-min 10] [--no-prune] [--no-reconcile]
+//        [--notify-url http://127.0.0.1:8787/hook | --notify-file path] [--notify-always] [--out-dir dir]
+//   (env GROWTH_NOTIFY_URL / GROWTH_NOTIFY_FILE でも指定できる)
+//   crontab 例: 0 9 * * 1  cd /path/to/BodyLapse && node scripts/analytics/run-weekly.mjs >> analytics/runs/cron.log 2>&1
+import { openSync, writeSync, closeSync, readFileSync, writeFileSync, appendFileSync, mkdirSync, unlinkSync, rmSync, existsSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { takeSnapshot, COLLECTORS } from './snapshot.mjs';
+import { reconcileAll } from './reconcile.mjs';
+import { listSnapshots } from './snapshot-store.mjs';
+import { resolveWindow, takeWindowFlag, reportingTimeZone, zonedDate, addDays, isoWeekOf } from './report-window.mjs';
+
+export const RUNS_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/runs');
+const LOCK_STALE_MS = 6 * 60 * 60 * 1000; // 週次の 1 回がこれより長く掛かることは無い
+const RETAIN_DAILY_DAYS = 90;
+const SOURCES = ['appstore', 'appAnalytics', 'admob'];
+
+// ---- ロック。取れたら解放関数、別の実行が生きていれば null ----
+export function acquireLock(path, now = Date.now()) {
+    mkdirSync(dirname(path), { recursive: true });
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const fd = openSync(path, 'wx');
+            writeSync(fd, JSON.stringify({ pid: process.pid, startedAtUtc: new Date(now).toISOString() }) + '\n');
+            closeSync(fd);
+            return () => { try { unlinkSync(path); } catch { /* 既に無い */ } };
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            let holder = null;
+            try { holder = JSON.parse(readFileSync(path, 'utf8')); } catch { /* 書きかけ・壊れたロックは古いものとして扱う */ }
+            if (holder && isAlive(holder.pid) && now - Date.parse(holder.startedAtUtc) < LOCK_STALE_MS) return null;
+            try { unlinkSync(path); } catch { /* 競合で先に消された */ }
+        }
+    }
+    return null;
+}
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0); // シグナル 0 = 存在確認のみ
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+// ---- 収集関数をリトライ + タイムアウトで包む。試行の記録は attempts に積む ----
+function retryable(result) {
+    return result && result.configured === false && result.error && !String(result.error).startsWith('creds:');
+}
+export function guardCollector(name, fn, { retries = 2, timeoutMs = 10 * 60 * 1000, backoffMs = 15 * 1000, attempts = {} } = {}) {
+    return async (opts) => {
+        const log = (attempts[name] = []);
+        let result;
+        for (let i = 0; i <= retries; i++) {
+            const started = Date.now();
+            let timer, timedOut = false;
+            const timeout = new Promise((res) => {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    res({ configured: false, error: `timeout: ${Math.round(timeoutMs / 1000)}s で打ち切り (再試行しない)` });
+                }, timeoutMs);
+            });
+            try {
+                result = await Promise.race([fn(opts), timeout]);
+            } catch (err) {
+                result = { configured: false, error: err.message };
+            } finally {
+                clearTimeout(timer);
+            }
+            log.push({ durationMs: Date.now() - started, ...(timedOut ? { timedOut } : {}), ...(result?.error ? { error: String(result.error).slice(0, 300) } : {}) });
+            // 打ち切った試行は裏で走り続けるので、再試行すると同じキャッシュファイルを 2 本が書く。返ってきたエラーだけ再試行する。
+            if (timedOut || !retryable(result) || i === retries) break;
+            await new Promise((res) => setTimeout(res, backoffMs * (i + 1)));
+        }
+        return result;
+    };
+}
+
+// ---- 保持ポリシー。消すスナップショットの一覧を返す (消すのは呼び出し側) ----
+// 直近 RETAIN_DAILY_DAYS 日 (報告タイムゾーン = ファイル名の日付) は日ごとに最後の 1 本、それより前は ISO 週ごとに最後の 1 本を残す。
+// ref.ok === false (全ソース失敗。withOutcome で付ける) は、同じバケットに成功したものがあればそちらを残す (バケットが失敗だけなら最後の 1 本)。
+export function planRetention(refs, now = Date.now(), dailyDays = RETAIN_DAILY_DAYS, timeZone = reportingTimeZone()) {
+    const cutoff = addDays(zonedDate(now, timeZone), -dailyDays);
+    const keep = new Map(); // バケット → 残す ref (refs は古い順)
+    for (const r of refs) {
+        const bucket = r.jstDate >= cutoff ? r.jstDate : isoWeekOf(r.jstDate);
+        const cur = keep.get(bucket);
+        if (!cur || r.ok !== false || cur.ok === false) keep.set(bucket, r);
+    }
+    const kept = new Set([...keep.values()].map((r) => r.path));
+    return refs.filter((r) => !kept.has(r.path));
+}
+
+// ---- ref に成否 (ok: どれかのソースが configured:true) を付ける。読めないファイルは失敗扱い ----
+function withOutcome(refs) {
+    return refs.map((r) => {
+        try {
+            const snap = JSON.parse(readFileSync(r.path, 'utf8'));
+            return { ...r, ok: SOURCES.some((k) => snap[k]?.configured === true) };
+        } catch {
+            return { ...r, ok: false };
+        }
+    });
+}
+
+// ---- 通知。ローカル webhook かファイルだけ ----
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '::1']);
+export async function notify(record, { url = null, file = null } = {}) {
+    if (url) {
+        let u;
+        try { u = new URL(url); } catch { return { target: url, ok: false, error: 'URL として解釈できない' }; }
+        if (!LOCAL_HOSTS.has(u.hostname)) return { target: url, ok: false, error: 'ローカル (localhost / 127.0.0.1 / ::1) 以外の webhook には送らない' };
+        try {
+            // 通知は HTTP 記録/再生の対象外 (http-replay を通さず素の fetch)。
+            const res = await fetch(u, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify(record),
+                signal: AbortSignal.timeout(10 * 1000),
+            });
+            return { target: url, ok: res.ok, status: res.status };
+        } catch (err) {
+            return { target: url, ok: false, error: err.message };
+        }
+    }
+    if (file) {
+        try {
+            mkdirSync(dirname(resolve(file)), { recursive: true });
+            appendFileSync(resolve(file), JSON.stringify(record) + '\n');
+            return { target: resolve(file), ok: true };
+        } catch (err) {
+            return { target: file, ok: false, error: err.message };
+        }
+    }
+    return null;
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = {
+        retries: 2, timeoutMin: 10, prune: true, reconcile: true, notifyAlways: false, outDir: null,
+        notifyUrl: process.env.GROWTH_NOTIFY_URL || null, notifyFile: process.env.GROWTH_NOTIFY_FILE || null,
+    };
+    const windowSpec = { days: 30 };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        const next = takeWindowFlag(argv, i, windowSpec);
+        if (next >= 0) i = next;
+        else if (a === '--retries') args.retries = Number(argv[++i]);
+        else if (a === '--timeout-min') args.timeoutMin = Number(argv[++i]);
+        else if (a === '--no-prune') args.prune = false;
+        else if (a === '--no-reconcile') args.reconcile = false;
+        else if (a === '--notify-url') args.notifyUrl = argv[++i];
+        else if (a === '--notify-file') args.notifyFile = argv[++i];
+        else if (a === '--notify-always') args.notifyAlways = true;
+        else if (a === '--out-dir') args.outDir = argv[++i];
+        else if (/^\d+$/.test(a)) windowSpec.days = Number(a);
+        else throw new Error(`不明な引数: ${a}`);
+    }
+    if (!(args.retries >= 0) || !(args.timeoutMin > 0)) throw new Error('--retries は 0 以上、--timeout-min は正の数');
+    args.window = resolveWindow(windowSpec);
+    return args;
+}
+
+async function run(args) {
+    const started = Date.now();
+    const { kind, from, to, timeZone } = args.window;
+    const record = { runner: 'run-weekly', startedAtUtc: new Date(started).toISOString(), window: { kind, from, to, timeZone } };
+    const release = acquireLock(resolve(RUNS_DIR, 'run-weekly.lock'), started);
+    if (!release) return { ...record, status: 'skipped', exitCode: 3, note: '別の run-weekly が実行中 (ロック保持中)' };
+    try {
+        const attempts = {};
+        const guard = { retries: args.retries, timeoutMs: args.timeoutMin * 60 * 1000, attempts };
+        const collectors = Object.fromEntries(Object.entries(COLLECTORS).map(([k, fn]) => [k, guardCollector(k, fn, guard)]));
+        const snap = await takeSnapshot({ window: args.window, outDir: args.outDir, collectors });
+
+        record.sources = Object.fromEntries(SOURCES.map((k) => {
+            const s = snap.snapshot[k];
+            return [k, { ok: s?.configured === true, attempts: attempts[k]?.length ?? 0, ...(s?.configured ? {} : { reason: s?.error ?? s?.note ?? null }) }];
+        }));
+        record.snapshot = snap.outPath;
+        record.summary = snap.lines;
+        const okCount = SOURCES.filter((k) => record.sources[k].ok).length;
+        if (!snap.outPath) {
+            record.status = 'failed';
+            record.note = `スキーマ検証で不合格。${snap.invalidPath} に退避`;
+        } else {
+            record.status = okCount === 0 ? 'failed' : okCount < SOURCES.length ? 'partial' : 'ok';
+        }
+
+        if (args.prune && snap.outPath && (record.status === 'ok' || record.status === 'partial')) {
+            const dir = dirname(snap.outPath);
+            const doomed = planRetention(withOutcome(listSnapshots(dir)), started, RETAIN_DAILY_DAYS, args.window.timeZone);
+            for (const r of doomed) {
+                rmSync(r.path, { force: true });
+                rmSync(resolve(dir, 'portfolio', r.stamp), { recursive: true, force: true });
+                rmSync(resolve(dir, 'reconciled', `${r.stamp}.json`), { force: true });
+            }
+            record.pruned = doomed.map((r) => r.stamp);
+        }
+        if (args.reconcile && snap.outPath) {
+            // 間引いた後の履歴だけ見直す。撮り直しも収集と同じリトライ + タイムアウトで包む。
+            try {
+                const rec = await reconcileAll({ dir: dirname(snap.outPath), pull: guardCollector('reconcile', COLLECTORS.appstore, guard) });
+                record.reconcile = {
+                    reconciled: rec.reconciled,
+                    stillProvisional: rec.results.filter((r) => r.stillProvisional?.length).map((r) => r.stamp),
+                    errors: rec.results.filter((r) => r.error).map((r) => `${r.stamp}: ${r.error}`),
+                };
+            } catch (err) {
+                record.reconcile = { error: err.message };
+            }
+        }
+        record.exitCode = record.status === 'failed' ? 1 : 0;
+        return record;
+    } finally {
+        release();
+    }
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n`);
+        process.exit(2);
+    }
+    const startedAtUtc = new Date().toISOString();
+    let record;
+    try {
+        record = await run(args);
+    } catch (err) {
+        // 収集の外 (保存・間引き・ロックなど) で落ちても、ログと通知は失敗の記録として残す。
+        const { kind, from, to, timeZone } = args.window;
+        record = { runner: 'run-weekly', startedAtUtc, window: { kind, from, to, timeZone }, status: 'failed', exitCode: 1, error: err.message };
+    }
+    record.finishedAtUtc = new Date().toISOString();
+    if (record.status !== 'ok' || args.notifyAlways) {
+        const n = await notify(record, { url: args.notifyUrl, file: args.notifyFile });
+        if (n) record.notification = n;
+    }
+    mkdirSync(RUNS_DIR, { recursive: true });
+    appendFileSync(resolve(RUNS_DIR, 'run-weekly.jsonl'), JSON.stringify(record) + '\n');
+
+    const lines = [`run-weekly: ${record.status} (終了コード ${record.exitCode})`];
+    for (const [k, s] of Object.entries(record.sources ?? {})) lines.push(`  ${k}: ${s.ok ? 'OK' : `NG (${s.reason})`} · 試行 ${s.attempts}`);
+    if (record.pruned?.length) lines.push(`  保持ポリシーで削除: ${record.pruned.length} 本`);
+    if (record.reconcile) {
+        lines.push(record.reconcile.error
+            ? `  未確定日の取り直し: 失敗 (${record.reconcile.error})`
+            : `  未確定日の取り直し: 訂正 ${record.reconcile.reconciled.length} 本 · 未確定のまま ${record.reconcile.stillProvisional.length} 本` +
+              (record.reconcile.errors.length ? ` · 失敗 ${record.reconcile.errors.length} 本` : ''));
+    }
+    if (record.notification) lines.push(`  通知: ${record.notification.target} ${record.notification.ok ? 'OK' : `失敗 (${record.notification.error ?? record.notification.status})`}`);
+    if (record.note) lines.push(`  ${record.note}`);
+    if (record.error) lines.push(`  例外で中断: ${record.error}`);
+    process.stderr.write([...(record.summary ?? []), ...lines].join('\n') + '\n');
+    process.stdout.write(JSON.stringify(record, null, 2) + '\n');
+    // 打ち切った収集の HTTP が残っていても待たずに終える。
+    process.exit(record.exitCode);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
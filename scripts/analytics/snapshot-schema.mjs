@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — スナップショットのスキーマ (検証とマイグレーション) (依存ゼロ / Node 標準モジュールのみ)
+//
+// snapshot.mjs は書き出す前に validateSnapshot で形を確かめ、snapshot-store の loadSnapshot は読むたびに
+// migrateSnapshot で最新スキーマへ上げる。trends / compare / experiments / kpi は常に SCHEMA_VERSION の形だけを相手にできる。
+//
+// スキーマ 2 (schema 1 からの変更):
+//   - appstore.subscriptions / subscriptionEvents は常に available (boolean) を持ち、取れなかったときも同じキーを持つ
+//     (subscriptions: latest:null / byDayJst:[] / byProduct:{}、subscriptionEvents: totals:null / byDayJst:[] / byProduct:{} / byEvent:{})。
+//     schema 1 では「available:false + note」と「latest あり」でキーの集合が違った。
+//   - revenue / derived / attribution は常に存在する (収集時に無かった古いスナップショットは available:false + note)。
+//   - appstore / appAnalytics / admob は常に configured (boolean) を持つ。
+// マイグレーションは元ファイルを書き換えない (読むたびに上げる)。上げたものには _migratedFrom に元の版が付く。
+//
+// スキーマの記法 (JSON Schema の小さな部分集合。依存ゼロで済ませるための自前):
+//   { t: 型 or 型の配列 ('object' | 'array' | 'number' | 'integer' | 'string' | 'boolean' | 'null' | 'day'),
+//     props: 必須キー → spec, optional: 任意キー → spec, items: 配列要素の spec, values: マップの値の spec,
+//     gate: 'configured' | 'available' — その値が false (か pending:true) なら gate 以外の中身は問わない, const: 固定値 }
+//
+// 使い方:
+//   node scripts/analytics/snapshot-schema.mjs [file ...] [--dir analytics/snapshots]   # 既存ファイルの検証 (既定 = 履歴全部)
+//   旧スキーマのファイルは「そのままの版」ではなく「マイグレーション後の形」が SCHEMA_VERSION を満たすかを見る。不合格があれば終了コード 1。
+import { readFileSync } from 'node:fs';
+import { resolve, basename } from 'node:path';
+import { listSnapshots, SNAPSHOT_DIR } from './snapshot-store.mjs';
+
+export const SCHEMA_VERSION = 2;
+
+const num = { t: 'number' };
+const int = { t: 'integer' };
+const str = { t: 'string' };
+const dayRow = (props = {}, optional = {}) => ({ t: 'object', props: { day: { t: 'day' }, ...props }, optional });
+
+const APPSTORE = {
+    t: 'object', gate: 'configured',
+    props: {
+        app: { t: 'object' },
+        downloads: {
+            t: 'object',
+            props: { byDayJst: { t: 'array', items: dayRow({ firstDownloads: int, redownloads: int, updates: int }) } },
+            optional: {
+                totals: { t: 'object', props: { firstDownloads: int, redownloads: int, updates: int } },
+                proceedsByCurrency: { t: 'object', values: num },
+                // SKU 一致のサブスク/IAP の行 (アプリ本体の proceedsByCurrency とは別建て)。これより前のスナップショットには無い。
+                subscriptionProceedsByCurrency: { t: 'object', values: num },
+            },
+        },
+    },
+    optional: {
+        subscriptions: {
+            t: 'object', gate: 'available',
+            props: {
+                latest: int,
+                byDayJst: { t: 'array', items: dayRow({ activeSubscriptions: int }) },
+                byProduct: { t: 'object' },
+            },
+        },
+        subscriptionEvents: {
+            t: 'object', gate: 'available',
+            props: {
+                byDayJst: { t: 'array', items: dayRow() },
+                byProduct: { t: 'object' },
+                byEvent: { t: 'object', values: num },
+                totals: { t: 'object', props: { grossAdds: int, grossChurn: int, net: int } },
+            },
+        },
+        // 日ごとのレポート完全性 (pull-appstore.mjs reportStatus)。これより前のスナップショットには無い (snapshot-store.provisionalDays が推定)。
+        completeness: {
+            t: 'object',
+            props: {
+                byDay: { t: 'object', values: { t: 'object', props: { sales: str }, optional: { subscription: str, subscriptionEvent: str } } },
+                provisionalDays: { t: 'array', items: { t: 'day' } },
+                finalThrough: { t: ['day', 'null'] },
+            },
+        },
+    },
+};
+const APP_ANALYTICS = {
+    t: 'object', gate: 'configured',
+    props: { metrics: { t: 'object', values: { t: 'object', props: { total: num } } } },
+    optional: { reports: { t: 'object' }, retention: { t: 'object' }, campaigns: { t: 'object', gate: 'available', props: { byToken: { t: 'object' } } } },
+};
+const ADMOB = {
+    t: 'object', gate: 'configured',
+    props: {
+        currency: str,
+        totals: { t: 'object', props: { estimatedEarnings: num, impressions: num } },
+        byDayJst: { t: 'array', items: { t: 'object', props: { day: { t: ['day', 'null'] }, estimatedEarnings: num, impressions: num } } },
+    },
+};
+export const SNAPSHOT_SCHEMA = {
+    t: 'object',
+    props: {
+        schema: { t: 'integer', const: SCHEMA_VERSION },
+        generatedAtUtc: str,
+        windowDays: int,
+        appstore: APPSTORE,
+        appAnalytics: APP_ANALYTICS,
+        admob: ADMOB,
+        revenue: { t: 'object', gate: 'available', props: { reportingCurrency: str, total: num } },
+        derived: {
+            t: 'object', gate: 'available',
+            props: {
+                currency: { t: ['string', 'null'] },
+                revenueByDayJst: { t: 'array', items: dayRow({ adEarnings: num, proceeds: num, total: num }) },
+                totals: { t: 'object', props: { adEarnings: num, proceeds: num, total: num } },
+            },
+        },
+        attribution: { t: 'object', gate: 'available', props: { byCampaign: { t: 'object' } } },
+    },
+    optional: {
+        // 収集時に 3 ソースへ渡した暦日の窓 (report-window.mjs)。これより前のスナップショットには無い (windowDays から算出)。
+        window: {
+            t: 'object',
+            props: { kind: str, from: { t: 'day' }, to: { t: 'day' }, days: int, timeZone: str },
+            optional: { label: str, truncated: { t: 'boolean' } },
+        },
+    },
+};
+
+// ---- 検証。返り値はエラー文の配列 (空なら合格) ----
+function typeOf(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    return typeof v;
+}
+function matchesType(v, t) {
+    if (t === 'integer') return Number.isInteger(v);
+    if (t === 'day') return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+    return typeOf(v) === t;
+}
+function check(v, spec, path, errors) {
+    const types = Array.isArray(spec.t) ? spec.t : [spec.t];
+    if (!types.some((t) => matchesType(v, t))) {
+        errors.push(`${path}: ${types.join(' | ')} であるべきところが ${typeOf(v)}${typeof v === 'string' ? ` "${v.slice(0, 20)}"` : ''}`);
+        return;
+    }
+    if (spec.const !== undefined && v !== spec.const) errors.push(`${path}: ${JSON.stringify(spec.const)} であるべきところが ${JSON.stringify(v)}`);
+    if (typeOf(v) === 'object') {
+        if (spec.gate) {
+            if (typeof v[spec.gate] !== 'boolean') { errors.push(`${path}.${spec.gate}: boolean が無い`); return; }
+            if (v[spec.gate] === false || v.pending === true) return;
+        }
+        for (const [k, s] of Object.entries(spec.props ?? {})) {
+            if (!(k in v)) errors.push(`${path}.${k}: 必須キーが無い`);
+            else check(v[k], s, `${path}.${k}`, errors);
+        }
+        for (const [k, s] of Object.entries(spec.optional ?? {})) if (k in v) check(v[k], s, `${path}.${k}`, errors);
+        if (spec.values) for (const [k, x] of Object.entries(v)) check(x, spec.values, `${path}.${k}`, errors);
+    }
+    if (typeOf(v) === 'array' && spec.items) v.forEach((x, i) => check(x, spec.items, `${path}[${i}]`, errors));
+}
+export function validateSnapshot(snap, schema = SNAPSHOT_SCHEMA) {
+    const errors = [];
+    check(snap, schema, '$', errors);
+    return errors;
+}
+
+// ---- マイグレーション。MIGRATIONS[n] は schema n → n+1 (引数は複製済み。書き換えてよい) ----
+const MISSING_SECTION = '収集時のスナップショットに無かったセクション (マイグレーションで補完)';
+export const MIGRATIONS = {
+    1: (s) => {
+        for (const key of ['appstore', 'appAnalytics', 'admob']) {
+            s[key] ??= { configured: false, note: MISSING_SECTION };
+            if (typeof s[key].configured !== 'boolean') s[key].configured = !s[key].error;
+        }
+        const asc = s.appstore;
+        if (asc.configured) {
+            if (asc.subscriptions) {
+                asc.subscriptions = asc.subscriptions.available === false
+                    ? { available: false, latest: null, byDayJst: [], byProduct: {}, note: asc.subscriptions.note }
+                    : { available: true, byProduct: {}, ...asc.subscriptions };
+                // サブスクイベントは schema 1 の途中から。サブスクを取っていたのに無ければ「無かった」と明示する。
+                asc.subscriptionEvents ??= { available: false, note: MISSING_SECTION };
+            }
+            if (asc.subscriptionEvents) {
+                asc.subscriptionEvents = asc.subscriptionEvents.available === false
+                    ? { available: false, byDayJst: [], byProduct: {}, byEvent: {}, totals: null, note: asc.subscriptionEvents.note }
+                    : { available: true, ...asc.subscriptionEvents };
+            }
+        }
+        for (const key of ['revenue', 'derived', 'attribution']) s[key] ??= { available: false, note: MISSING_SECTION };
+        s.schema = 2;
+        return s;
+    },
+};
+
+// ---- 読み込んだ JSON を SCHEMA_VERSION まで上げる。既に最新ならそのまま。未来の版は例外 ----
+export function migrateSnapshot(snap) {
+    const from = snap.schema ?? 1;
+    if (from === SCHEMA_VERSION) return snap;
+    if (from > SCHEMA_VERSION) throw new Error(`schema ${from} はこのハーネス (schema ${SCHEMA_VERSION}) より新しい。スクリプトを更新する`);
+    let s = structuredClone(snap);
+    for (let v = from; v < SCHEMA_VERSION; v++) {
+        if (!MIGRATIONS[v]) throw new Error(`schema ${v} → ${v + 1} のマイグレーションが無い`);
+        s = MIGRATIONS[v](s);
+    }
+    return { ...s, _migratedFrom: from };
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { files: [], dir: SNAPSHOT_DIR };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') args.dir = resolve(argv[++i]);
+        else args.files.push(resolve(argv[i]));
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const files = args.files.length ? args.files : listSnapshots(args.dir).map((r) => r.path);
+    const results = files.map((path) => {
+        try {
+            const raw = JSON.parse(readFileSync(path, 'utf8'));
+            const errors = validateSnapshot(migrateSnapshot(raw));
+            return { file: basename(path), schema: raw.schema ?? null, valid: errors.length === 0, errors };
+        } catch (err) {
+            return { file: basename(path), schema: null, valid: false, errors: [err.message] };
+        }
+    });
+    const bad = results.filter((r) => !r.valid);
+    const lines = [`スナップショット検証 (schema ${SCHEMA_VERSION}): ${results.length} 本中 不合格 ${bad.length}`];
+    for (const r of bad) {
+        lines.push(`  ✗ ${r.file} (schema ${r.schema ?? '?'}): ${r.errors.slice(0, 5).join(' / ')}${r.errors.length > 5 ? ` ほか ${r.errors.length - 5} 件` : ''}`);
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify({ schema: SCHEMA_VERSION, results }, null, 2) + '\n');
+    if (bad.length) process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
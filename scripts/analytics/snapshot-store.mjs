@@ -0,0 +1,152 @@
+// グロース分析ハーネス — スナップショット履歴の読み出し (依存ゼロ / Node 標準モジュールのみ)
+//
+// snapshot.mjs が analytics/snapshots/<報告 TZ の日時>.json に書き溜めた履歴を、後段ツール
+// (compare-snapshots / 効果測定 など) が同じ規則で読むための共有モジュール。
+//   - ファイル名 YYYY-MM-DD_HHMM.json は報告タイムゾーン (既定 JST, report-window.mjs)。字句順=時系列順なのでソートだけで時系列になる。
+//   - 日付 (YYYY-MM-DD) からの解決は「その日以前の最新」/「その日以降の最初」を選べる。
+//   - 窓 (from/to) はスナップショットに記録された window (収集時に 3 ソースへ渡した暦日の範囲) をそのまま使う。
+//     window の無い古いスナップショットは「収集日 (UTC) の前日から windowDays 日遡る」で算出する (当時の pull-appstore の定義)。
+//   - 読み込みは常に最新スキーマの形 (旧スキーマは snapshot-schema.mjs のマイグレーションで上げてから返す)。
+//   - reconciled/<stamp>.json (reconcile.mjs が後から取り直した App Store 系セクション) があれば重ねて返す (_reconciled が付く)。
+//     元ファイルは収集時のまま。重ねずに読むには loadSnapshot(path, { reconciled: false })。
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { resolve, dirname, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { migrateSnapshot } from './snapshot-schema.mjs';
+import { addDays, eachDay, isNoReportFinal } from './report-window.mjs';
+
+const STAMP_RE = /^(\d{4}-\d{2}-\d{2})_(\d{2})(\d{2})\.json$/;
+
+export const SNAPSHOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../../analytics/snapshots');
+
+// ---- 履歴一覧 (古い順)。命名規則に合わないファイルは無視する ----
+export function listSnapshots(dir = SNAPSHOT_DIR) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .filter((f) => STAMP_RE.test(f))
+        .sort()
+        .map((f) => {
+            const m = f.match(STAMP_RE);
+            return { path: resolve(dir, f), stamp: f.replace(/\.json$/, ''), jstDate: m[1], jstTime: `${m[2]}:${m[3]}` };
+        });
+}
+
+// 読むたびに最新スキーマへ上げる (snapshot-schema.mjs のマイグレーション。元ファイルは書き換えない)。
+export function loadSnapshot(path, { reconciled = true } = {}) {
+    const snap = migrateSnapshot(JSON.parse(readFileSync(path, 'utf8')));
+    const overlay = reconciled ? readReconciled(path) : null;
+    if (overlay) applyReconciled(snap, overlay);
+    return { ...snap, _file: basename(path) };
+}
+
+// ---- 取り直し結果 (reconcile.mjs)。スナップショットと同じディレクトリの reconciled/<stamp>.json ----
+// { stamp, reconciledAtUtc, fixedDays, stillProvisional, sections: { 'appstore.downloads': ..., 'derived': ..., ... } }
+export function reconciledPath(snapshotPath) {
+    return resolve(dirname(snapshotPath), 'reconciled', basename(snapshotPath));
+}
+function readReconciled(snapshotPath) {
+    const p = reconciledPath(snapshotPath);
+    return existsSync(p) ? JSON.parse(readFileSync(p, 'utf8')) : null;
+}
+// sections のドット区切りパスをそのまま差し替える (セクション単位。中身を混ぜない)。
+export function applyReconciled(snap, overlay) {
+    for (const [path, value] of Object.entries(overlay.sections ?? {})) {
+        const keys = path.split('.');
+        let cur = snap;
+        for (const k of keys.slice(0, -1)) cur = (cur[k] ??= {});
+        cur[keys[keys.length - 1]] = value;
+    }
+    snap._reconciled = { atUtc: overlay.reconciledAtUtc, fixedDays: overlay.fixedDays ?? [] };
+    return snap;
+}
+
+// ---- App Store の未確定日 (Sales などのレポートが遅延で未着・取得失敗だった日) ----
+// completeness を記録したスナップショットはその provisionalDays。記録前の古いスナップショットは、窓の日のうち
+// Sales の行が無く、かつ収集時点で NO_REPORT_FINAL_AFTER_DAYS 以内だった日を未確定とみなす (それより古い欠けは確定ゼロ)。
+export function provisionalDays(snap) {
+    const asc = snap.appstore;
+    if (!asc?.configured || !asc.downloads?.totals) return [];
+    if (asc.completeness) return asc.completeness.provisionalDays;
+    const w = snapshotWindow(snap);
+    const at = Date.parse(snap.generatedAtUtc);
+    if (!w || !Number.isFinite(at)) return [];
+    const have = new Set(asc.downloads.byDayJst.map((r) => r.day));
+    return eachDay(w.from, w.to).filter((d) => !have.has(d) && !isNoReportFinal(d, at));
+}
+
+// ---- 履歴全体で、どのスナップショットでも確定していない日 (trends などが読み飛ばした結果の「まだ埋まっていない日」) ----
+export function unresolvedProvisionalDays(snapshots) {
+    const pending = new Set(), settled = new Set();
+    for (const snap of snapshots) {
+        const w = snapshotWindow(snap);
+        if (!w || !snap.appstore?.configured || !snap.appstore.downloads?.totals) continue;
+        const prov = new Set(provisionalDays(snap));
+        for (const d of eachDay(w.from, w.to)) (prov.has(d) ? pending : settled).add(d);
+    }
+    return [...pending].filter((d) => !settled.has(d)).sort();
+}
+
+// ---- 日付 (JST) → スナップショット。prefer='before' はその日以前の最新、'after' はその日以降の最初 ----
+export function findSnapshotForDate(jstDate, { prefer = 'before', dir = SNAPSHOT_DIR } = {}) {
+    const all = listSnapshots(dir);
+    if (prefer === 'after') return all.find((s) => s.jstDate >= jstDate) ?? null;
+    const before = all.filter((s) => s.jstDate <= jstDate);
+    return before[before.length - 1] ?? null;
+}
+
+// ---- 収集窓が day まで届いている最初のスナップショット (snapshotWindow(snap).to >= day)。無ければ null ----
+// 撮った日ではなく窓の最終日で選ぶ (--from/--to で過去の窓を撮り直したものや、撮った日の前日までしか無いものを終了側に取らない)。
+// 窓の最終日は撮った日を超えない (report-window が昨日で切る) ので、day より前に撮ったものは読まずに飛ばす。
+export function findSnapshotCovering(day, { dir = SNAPSHOT_DIR } = {}) {
+    for (const ref of listSnapshots(dir).filter((s) => s.jstDate >= day)) {
+        const w = snapshotWindow(loadSnapshot(ref.path));
+        if (w && w.to >= day) return ref;
+    }
+    return null;
+}
+
+// ---- 引数 (パス or YYYY-MM-DD) を実ファイルに解決。解決できなければ例外 ----
+export function resolveSnapshotRef(ref, opts = {}) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(ref)) {
+        const hit = findSnapshotForDate(ref, opts);
+        if (!hit) throw new Error(`${ref} に対応するスナップショットが無い (${opts.prefer === 'after' ? '以降' : '以前'}に 0 件)`);
+        return hit.path;
+    }
+    const p = resolve(ref);
+    if (!existsSync(p)) throw new Error(`スナップショットが見つからない: ${ref}`);
+    return p;
+}
+
+// ---- スナップショットがカバーする日付範囲 ----
+export function snapshotWindow(snap) {
+    if (snap.window?.from && snap.window?.to) return { from: snap.window.from, to: snap.window.to, days: snap.window.days };
+    const at = Date.parse(snap.generatedAtUtc);
+    const days = Number(snap.windowDays) || 0;
+    if (!Number.isFinite(at) || days <= 0) return null;
+    const day = new Date(at).toISOString().slice(0, 10);
+    return { from: addDays(day, -days), to: addDays(day, -1), days };
+}
+
+// ---- ドット区切りパス ('appstore.downloads.totals.firstDownloads') で値を引く。無ければ undefined ----
+export function getPath(obj, path) {
+    let cur = obj;
+    for (const k of path.split('.')) {
+        if (cur == null || typeof cur !== 'object') return undefined;
+        cur = cur[k];
+    }
+    return cur;
+}
+
+// ---- { day, ... } 行の配列 (byDayJst) を { 'a.b.byDayJst': rows } で集める ----
+export function collectDaySeries(obj, prefix = '', out = {}) {
+    if (obj == null || typeof obj !== 'object') return out;
+    for (const [k, v] of Object.entries(obj)) {
+        const path = prefix ? `${prefix}.${k}` : k;
+        if (Array.isArray(v)) {
+            if (v.length && v.every((r) => r && typeof r === 'object' && typeof r.day === 'string')) out[path] = v;
+        } else if (v && typeof v === 'object') {
+            collectDaySeries(v, path, out);
+        }
+    }
+    return out;
+}
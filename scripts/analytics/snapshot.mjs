@@ -6,51 +6,176 @@
 //   (a) App Store Connect Sales/Subscription — 新規DL / 更新 / 有効サブスク (実データあり)
 //   (b) App Store Connect App Analytics       — セッション/アクティブ端末/継続率 (行動データの代替候補)
 //   (c) AdMob 広告収益                        — 無料ユーザーの主収益 (OAuth 必要)
-// これらを 1 本で集め、JST 日時付き JSON を analytics/snapshots/<JST日時>.json に保存する。
+// これらを 1 本で集め、報告タイムゾーン (既定 JST) の日時付き JSON を analytics/snapshots/<日時>.json に保存する。
 // この履歴が傾向分析と実験の前後比較 (lift) の土台になる。決定論スクリプト・依存ゼロ。
 // 手元で週 1 回叩く運用が基本 (nihongo / Gymnee の snapshot と同じ思想)。
 //
 //   node scripts/analytics/snapshot.mjs [windowDays=30]
+//   node scripts/analytics/snapshot.mjs --week 2026-W42 | --month 2026-10 | --from 2026-10-01 --to 2026-10-14 [--tz Asia/Tokyo]
+//   (窓は report-window.mjs で 1 回だけ決め、ASC Sales / App Analytics / AdMob に同じ暦日の範囲を渡す。既定は直近 30 日 = 昨日まで。
+//    --tz / env GROWTH_TIME_ZONE は「昨日」とファイル名の基準。今日以降にかかる窓は昨日までに切り詰める)
+//   (ASC の日次レポートはローカルキャッシュ済みの日を再取得しない。長い窓の前に
+//    `pull-appstore.mjs --backfill --since YYYY-MM-DD` で過去分を埋めておくと速い)
+//   node scripts/analytics/snapshot.mjs 30 --record <dir>   # 全 HTTP をフィクスチャとして記録しつつ通常どおり保存
+//   node scripts/analytics/snapshot.mjs 30 --replay <dir>   # ネットワーク・資格情報なしで記録を再生 (保存先は <dir>/snapshots)
+//   (env GROWTH_HTTP_RECORD / GROWTH_HTTP_REPLAY でも同じ。--out-dir <dir> で保存先を変更)
+//   node scripts/analytics/snapshot.mjs 30 --apps all                  # ASC チーム配下の全アプリも集計
+//   node scripts/analytics/snapshot.mjs 30 --apps-config apps.json     # { "apps": ["com.J.BodyLapse", ...] } の bundleId だけ
+//   (複数アプリ時は vendor の日次レポートを各日 1 回だけ取得し Apple Identifier で振り分ける。
+//    このアプリの snapshot は従来どおり <報告 TZ の日時>.json、他アプリ分とポートフォリオ合計は portfolio/<報告 TZ の日時>/ に保存)
 //
 // 契約 (nihongo/Gymnee 準拠): 標準出力の最終行 = 保存パス 1 行、標準エラー = 要約。
 //   3 ソースとも best-effort (失敗しても configured:false / error を載せて続行)。
-//   出力は { schema, generatedAtUtc, windowDays, appstore, appAnalytics, admob }。集計値のみ (個人情報なし)。
-import { mkdirSync, writeFileSync } from 'node:fs';
+//   出力は { schema, generatedAtUtc, windowDays, window, appstore, appAnalytics, admob, revenue, derived, attribution }。集計値のみ (個人情報なし)。
+//   形は snapshot-schema.mjs の SCHEMA_VERSION。書く前に検証し、合わなければ履歴に入れず <保存先>/invalid/ に退避して終了コード 1。
+//   revenue は ASC proceeds と AdMob 推定収益をローカルの為替レート (analytics/fx-rates.json, fx.mjs) で報告通貨に寄せた合計。
+//   derived は収集後の派生指標パス (derived.mjs): 日別総収益・新規DL あたり収益・Premium 1 人あたりの広告逸失など。
+//   attribution は App Store キャンペーンリンク (ct=) 別の表示/ページ表示/新規DL を施策台帳の行に結び付けたもの (campaigns.mjs)。
+import { mkdirSync, writeFileSync, readFileSync } from 'node:fs';
 import { dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { pullAppStore } from './pull-appstore.mjs';
+import { pullAppStore, pullAppStoreMulti, portfolioRollup } from './pull-appstore.mjs';
+import { DEFAULT_BUNDLE_ID } from './asc-client.mjs';
 import { pullAnalytics } from './pull-analytics.mjs';
 import { pullAdmob } from './pull-admob.mjs';
+import { applyHttpFlags, httpMode, nowMs, writeManifest } from './http-replay.mjs';
+import { loadFxRates, buildRevenue } from './fx.mjs';
+import { deriveMetrics } from './derived.mjs';
+import { CAMPAIGNS_MD, parseCampaigns, buildAttribution } from './campaigns.mjs';
+import { runKpi, formatKpiLine } from './kpi.mjs';
+import { SCHEMA_VERSION, validateSnapshot } from './snapshot-schema.mjs';
+import { resolveWindow, takeWindowFlag, zonedParts } from './report-window.mjs';
 
-async function main() {
-    const windowDays = Number(process.argv[2] ?? 30) || 30;
+function parseArgs(argv) {
+    const args = { outDir: null };
+    const windowSpec = { days: 30 };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        const next = takeWindowFlag(argv, i, windowSpec);
+        if (next >= 0) i = next;
+        else if (a === '--out-dir') args.outDir = argv[++i];
+        else if (a === '--apps') args.apps = argv[++i] === 'all' ? 'all' : argv[i].split(',');
+        else if (a === '--apps-config') args.apps = loadAppsConfig(argv[++i]);
+        else if (/^\d+$/.test(a)) windowSpec.days = Number(a) || 30;
+    }
+    args.window = resolveWindow(windowSpec);
+    return args;
+}
+
+// { "apps": ["bundleId", ...] } か bundleId の配列そのもの。
+function loadAppsConfig(path) {
+    const raw = JSON.parse(readFileSync(resolve(path), 'utf8'));
+    const apps = Array.isArray(raw) ? raw : raw.apps;
+    if (!Array.isArray(apps) || !apps.length) throw new Error(`--apps-config ${path}: apps (bundleId の配列) が無い`);
+    return apps.map((a) => (typeof a === 'string' ? a : a.bundleId));
+}
+
+// 収集関数。run-weekly.mjs はこれをリトライ・タイムアウト付きの版に差し替えて takeSnapshot に渡す。
+export const COLLECTORS = {
+    appstore: pullAppStore,
+    appstoreMulti: pullAppStoreMulti,
+    appAnalytics: pullAnalytics,
+    admob: pullAdmob,
+};
+
+// ---- 収集 → 検証 → 保存。返り値 { outPath (保存できなければ null), stamp, snapshot, lines (要約), schemaErrors? } ----
+// 標準出力・標準エラーには書かない (CLI の main と run-weekly.mjs が要約の出し方を決める)。
+// window は resolveWindow の結果 (無ければ windowDays の直近窓)。3 ソースにはこの同じ窓を渡す。
+export async function takeSnapshot({ window: win = null, windowDays = 30, apps = null, outDir: outDirArg = null, collectors = COLLECTORS } = {}) {
+    const http = httpMode();
+    const window = win ?? resolveWindow({ days: windowDays });
+    // 記録中は窓も manifest に残す (check-fixtures.mjs --replay が同じ窓で再生する)。record 以外では何もしない。
+    writeManifest({ window });
 
     // 3 ソースとも best-effort。1 つ失敗しても snapshot は保存する (error/note フィールドで残す)。
     // App Analytics は既定で作成を試みない (現行キーは作成 403。読み取り疎通は確認済み)。
-    const appstore = await pullAppStore({ windowDays: Math.min(windowDays, 30) });
-    const appAnalytics = await pullAnalytics({ windowDays });
-    const admob = await pullAdmob({ windowDays });
+    // --apps 指定時は vendor レポートを 1 回だけ取り、このアプリの appstore もその結果から切り出す。
+    const multi = apps ? await collectors.appstoreMulti({ window, apps }) : null;
+    const appstore = multi?.apps.find((a) => a.app.bundleId === DEFAULT_BUNDLE_ID) ?? await collectors.appstore({ window });
+    const appAnalytics = await collectors.appAnalytics({ window });
+    const admob = await collectors.admob({ window });
 
-    const generatedAt = new Date();
+    // replay 中は記録時刻 (フィクスチャと同じ「直近 N 日」になる)。
+    const generatedAt = new Date(nowMs());
+    // 換算の基準日 = 窓の最終日 (既定は昨日)。レートファイルが壊れていても snapshot は保存する。
+    const fxAsOf = window.to;
+    let fx = null, fxError = null;
+    try {
+        fx = loadFxRates();
+    } catch (err) {
+        fxError = `fx: ${err.message}`;
+    }
+    const revenue = fxError ? { available: false, error: fxError } : buildRevenue({ appstore, admob }, fx, fxAsOf);
     const snapshot = {
-        schema: 1,
+        schema: SCHEMA_VERSION,
         generatedAtUtc: generatedAt.toISOString(),
-        windowDays,
+        windowDays: window.days,
+        window,
         appstore,
         appAnalytics,
         admob,
+        revenue,
     };
+    // 派生指標は収集結果だけから計算する (追加の HTTP なし)。
+    snapshot.derived = deriveMetrics(snapshot, fx, fxAsOf);
+    // ct= 帰属は施策台帳と突き合わせる。台帳が読めなくてもトークン別の数字は残す。
+    let ledger = [];
+    try {
+        ledger = parseCampaigns(readFileSync(CAMPAIGNS_MD, 'utf8')).rows;
+    } catch { /* 台帳が無い checkout でも snapshot は保存する */ }
+    snapshot.attribution = buildAttribution(appAnalytics, ledger);
 
     const scriptDir = dirname(fileURLToPath(import.meta.url));
-    const outDir = resolve(scriptDir, '../../analytics/snapshots');
+    // replay の出力は本物の履歴に混ぜない (既定でフィクスチャ側に書く)。
+    const outDir = outDirArg
+        ? resolve(outDirArg)
+        : http.mode === 'replay' ? resolve(http.dir, 'snapshots') : resolve(scriptDir, '../../analytics/snapshots');
     mkdirSync(outDir, { recursive: true });
-    // ファイル名は JST の日時 (分解能・分)。同日複数回実行しても上書きしない。字句順=時系列順。
-    const jst = new Date(generatedAt.getTime() + 9 * 60 * 60 * 1000);
-    const stamp = jst.toISOString().slice(0, 16).replace('T', '_').replace(':', '');
+    // ファイル名は報告タイムゾーンの日時 (分解能・分)。同日複数回実行しても上書きしない。字句順=時系列順 (TZ を途中で変えない限り)。
+    const at = zonedParts(generatedAt.getTime(), window.timeZone);
+    const stamp = `${at.date}_${at.time}`;
+    // 書く前にスキーマ検証。形が崩れたものは履歴に混ぜず invalid/ に退避して終了コード 1 (収集結果は捨てない)。
+    const schemaErrors = validateSnapshot(snapshot);
+    if (schemaErrors.length) {
+        const badDir = resolve(outDir, 'invalid');
+        mkdirSync(badDir, { recursive: true });
+        const badPath = resolve(badDir, `${stamp}.json`);
+        writeFileSync(badPath, JSON.stringify({ ...snapshot, schemaErrors }, null, 2) + '\n');
+        const lines = [`snapshot がスキーマ ${SCHEMA_VERSION} に合わない (${schemaErrors.length} 件)。履歴には保存せず ${badPath} に退避:`,
+            ...schemaErrors.slice(0, 10).map((e) => `  ${e}`)];
+        return { outPath: null, invalidPath: badPath, stamp, snapshot, schemaErrors, lines };
+    }
     const outPath = resolve(outDir, `${stamp}.json`);
     writeFileSync(outPath, JSON.stringify(snapshot, null, 2) + '\n');
 
-    // 標準エラーに要約 (標準出力はパス 1 行のみ = 後段のコマンドが拾いやすい)。
+    // 複数アプリ: アプリ別 snapshot (appstore のみ) + ポートフォリオ合計を portfolio/<stamp>/ に。
+    let portfolioLine = null;
+    if (multi) {
+        if (multi.configured) {
+            const pDir = resolve(outDir, 'portfolio', stamp);
+            mkdirSync(pDir, { recursive: true });
+            for (const a of multi.apps) {
+                const per = { schema: SCHEMA_VERSION, generatedAtUtc: snapshot.generatedAtUtc, windowDays: window.days, window, appstore: a };
+                writeFileSync(resolve(pDir, `${a.app.bundleId}.json`), JSON.stringify(per, null, 2) + '\n');
+            }
+            const roll = { schema: SCHEMA_VERSION, kind: 'portfolio', generatedAtUtc: snapshot.generatedAtUtc, ...portfolioRollup(multi) };
+            if (multi.missingBundleIds) roll.missingBundleIds = multi.missingBundleIds;
+            writeFileSync(resolve(pDir, 'portfolio.json'), JSON.stringify(roll, null, 2) + '\n');
+            portfolioLine = `ポートフォリオ: ${multi.apps.length} アプリ · 新規DL ${roll.totals.firstDownloads} / 有効サブスク ${roll.activeSubscriptions} (${pDir})`;
+        } else {
+            portfolioLine = `ポートフォリオ: skip (${multi.error})`;
+        }
+    }
+
+    // KPI ツリー (analytics/kpi-tree.json) の判定。今回保存した分と、同じ保存先の 1 本前を比べる。
+    let kpiLine;
+    try {
+        kpiLine = formatKpiLine(runKpi({ ref: outPath, dir: outDir }));
+    } catch (err) {
+        kpiLine = `KPI: skip (${err.message})`;
+    }
+
+    // 要約 (CLI は標準エラーへ。標準出力はパス 1 行のみ = 後段のコマンドが拾いやすい)。
     const asc = appstore;
     const aa = appAnalytics;
     const ad = admob;
@@ -59,28 +184,53 @@ async function main() {
           (asc.downloads?.totals
               ? ` · 新規DL ${asc.downloads.totals.firstDownloads} / 更新 ${asc.downloads.totals.updates}`
               : asc.downloads?.error ? ' · DL取得不可' : '') +
-          (asc.subscriptions ? ` · 有効サブスク ${asc.subscriptions.available === false ? 0 : asc.subscriptions.latest}` : '')
+          (asc.subscriptions ? ` · 有効サブスク ${asc.subscriptions.available === false ? 0 : asc.subscriptions.latest}` : '') +
+          (asc.subscriptionEvents?.totals ? ` (新規 +${asc.subscriptionEvents.totals.grossAdds} / 解約 -${asc.subscriptionEvents.totals.grossChurn})` : '') +
+          (asc.completeness?.provisionalDays.length ? ` · 未確定 ${asc.completeness.provisionalDays.length} 日 (reconcile.mjs で後日取り直し)` : '')
         : `App Store: skip (${asc.error})`;
     const aaLine = aa.configured
         ? (aa.pending ? 'App Analytics: 疎通OK・生成待ち (行動データ未着)' : `App Analytics: セッション等 取得 (${Object.keys(aa.metrics ?? {}).join('/')})`)
         : `App Analytics: 未使用 (${aa.setupRequired ? 'ONGOING未作成・現行キーでは作成403' : aa.error})`;
+    const revLine = revenue.available
+        ? `総収益: ${revenue.total} ${revenue.reportingCurrency} (App Store ${revenue.appstoreProceeds.total} + AdMob ${revenue.admobEarnings.total}` +
+          (revenue.unconverted ? `, 換算不可 ${revenue.unconverted.map((u) => u.currency).join('/')}` : '') + ')'
+        : `総収益: 未換算 (${revenue.error ?? '為替レートファイル無し'})`;
+    const ctLine = snapshot.attribution.available
+        ? `ct 帰属: ${Object.keys(snapshot.attribution.byCampaign).length} トークン` +
+          (snapshot.attribution.ledgerOnly ? ` (台帳のみ ${snapshot.attribution.ledgerOnly.join('/')})` : '')
+        : null;
     const adLine = ad.configured
         ? `AdMob: 推定収益 ${ad.totals?.estimatedEarnings} ${ad.currency} / 表示 ${ad.totals?.impressions}`
         : `AdMob: 未使用 (${ad.error ?? 'OAuth未実施 → admob-auth.mjs'})`;
 
-    process.stderr.write(
-        [
-            `snapshot 保存: ${outPath}`,
-            `期間: 直近 ${windowDays} 日 (JST ${stamp})`,
-            dlLine,
-            aaLine,
-            adLine,
-        ].join('\n') + '\n',
-    );
-    process.stdout.write(outPath + '\n');
+    const lines = [
+        `snapshot 保存: ${outPath}`,
+        `期間: ${window.label} (${window.from}〜${window.to}${window.truncated ? '、昨日までに切り詰め' : ''}) · ${window.timeZone} ${stamp}` + (http.mode !== 'live' ? ` [HTTP ${http.mode}: ${http.dir}]` : ''),
+        dlLine,
+        aaLine,
+        adLine,
+        revLine,
+        ctLine,
+        kpiLine,
+        portfolioLine,
+    ].filter(Boolean);
+    return { outPath, stamp, snapshot, lines };
+}
+
+async function main() {
+    const args = parseArgs(applyHttpFlags(process.argv.slice(2)));
+    const r = await takeSnapshot(args);
+    process.stderr.write(r.lines.join('\n') + '\n');
+    if (!r.outPath) {
+        process.exitCode = 1;
+        return;
+    }
+    process.stdout.write(r.outPath + '\n');
 }
 
-main().catch((err) => {
-    console.error(err);
-    process.exit(1);
-});
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
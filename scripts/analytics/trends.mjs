@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+// グロース分析ハーネス — スナップショット履歴の傾向と異常検知 (依存ゼロ / Node 標準モジュールのみ)
+//
+// analytics/snapshots/ に溜まった全スナップショットの日別系列 (byDayJst) を 1 本につなぎ、
+// 7 日 / 28 日のローリング合計・前週比 (WoW) と、小 N でも誤検知しにくい異常フラグを出す。
+//   - 結合: 窓が重なって同じ日が複数のスナップショットにあるときは**新しいスナップショットの値**を採る
+//     (Sales の遅延着・再集計で後の方が正しい)。どのスナップショット由来かを各日に残す。
+//   - 未確定日: 収集時に Sales などのレポートが未着・取得失敗だった日 (snapshot-store.provisionalDays) の App Store 系・derived の行は
+//     既定で読み飛ばす (ゼロや欠けを「落ち込み」と誤検知しない)。reconcile.mjs が取り直せば確定値が重なって戻る。
+//     --include-provisional で含める (その日の行に provisional:true が付く)。
+//   - 異常 (件数系列): 直前 28 日 (最低 14 日) の平均 λ を期待値とし、Poisson(λ) の 99% 区間 [lo, hi] の外に出た日を
+//     spike / drop とする。率 (%) ではなく区間で判定するので、1→3 件のような小 N の揺れを「+200%」で騒がない。
+//   - 有効サブスク (水準系列) は前日からの純減を件数とみなして同じ Poisson 判定に掛ける (平時 0 件なら 1 件の純減で旗が立つ)。
+//   - eCPM (比率) は直前 28 日の中央値の半分を割り、かつ表示回数が MIN_IMPRESSIONS 以上の日を collapse とする
+//     (表示が少ない日の eCPM はもともとブレるため判定しない)。
+//   - WoW も直前 7 日合計を期待値にした Poisson 区間で significant を付ける。
+//
+// 使い方:
+//   node scripts/analytics/trends.mjs [--days 28] [--dir analytics/snapshots] [--include-provisional]
+//   (--days は異常を列挙する直近日数。標準出力は JSON、標準エラーは要約)
+import { resolve } from 'node:path';
+import { listSnapshots, loadSnapshot, collectDaySeries, getPath, provisionalDays, unresolvedProvisionalDays, SNAPSHOT_DIR } from './snapshot-store.mjs';
+import { addDays } from './report-window.mjs';
+
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 14;
+const INTERVAL_TAIL = 0.005; // 両側 99%
+const MIN_IMPRESSIONS = 100;
+const ECPM_COLLAPSE_RATIO = 0.5;
+
+// 見る系列。kind: count = 件数 (Poisson 判定) / level = 水準 (前日からの純減を件数化) / amount = 金額 (ローリングのみ) / ecpm = 比率
+export const SERIES = [
+    { key: 'firstDownloads', path: 'appstore.downloads.byDayJst', field: 'firstDownloads', kind: 'count' },
+    { key: 'updates', path: 'appstore.downloads.byDayJst', field: 'updates', kind: 'count' },
+    { key: 'activeSubscriptions', path: 'appstore.subscriptions.byDayJst', field: 'activeSubscriptions', kind: 'level' },
+    { key: 'subscriptionCancels', path: 'appstore.subscriptionEvents.byDayJst', field: 'cancel', kind: 'count' },
+    { key: 'subscriptionStarts', path: 'appstore.subscriptionEvents.byDayJst', field: 'start', kind: 'count' },
+    { key: 'adImpressions', path: 'admob.byDayJst', field: 'impressions', kind: 'count' },
+    { key: 'adEarnings', path: 'admob.byDayJst', field: 'estimatedEarnings', kind: 'amount' },
+    { key: 'adEcpm', path: 'admob.byDayJst', kind: 'ecpm' },
+    { key: 'totalRevenue', path: 'derived.revenueByDayJst', field: 'total', kind: 'amount' },
+];
+
+const round = (n, d = 2) => (n == null ? null : Math.round(n * 10 ** d) / 10 ** d);
+
+// 未確定日の影響を受ける系列 (App Store のレポート由来と、proceeds を含む derived)。AdMob などはその日も確定値。
+const PROVISIONAL_PREFIXES = ['appstore.', 'derived.'];
+
+// ---- 全スナップショットの日別系列を結合。{ path: { day: { row, from, provisional? } } }。古い順に読み、新しい方で上書き ----
+// 未確定日の行は既定で捨てる (古いスナップショットに確定値があればそちらが残る)。includeProvisional なら印を付けて採る。
+export function joinDaySeries(snapshots, { includeProvisional = false } = {}) {
+    const joined = {};
+    for (const snap of snapshots) {
+        const prov = new Set(provisionalDays(snap));
+        for (const [path, rows] of Object.entries(collectDaySeries(snap))) {
+            const affected = prov.size > 0 && PROVISIONAL_PREFIXES.some((p) => path.startsWith(p));
+            const into = (joined[path] ??= {});
+            for (const row of rows) {
+                if (affected && prov.has(row.day)) {
+                    if (includeProvisional) into[row.day] = { row, from: snap._file, provisional: true };
+                } else {
+                    into[row.day] = { row, from: snap._file };
+                }
+            }
+        }
+    }
+    return joined;
+}
+
+// ---- Poisson(λ) の累積分布と、両側 tail の区間 [lo, hi] ----
+function poissonCdf(k, lambda) {
+    if (k < 0) return 0;
+    let term = Math.exp(-lambda), sum = term;
+    for (let i = 1; i <= k; i++) { term *= lambda / i; sum += term; }
+    return Math.min(1, sum);
+}
+// λ が大きいと exp(-λ) がアンダーフローするので、POISSON_EXACT_MAX を超えたら正規近似に切り替える。
+const POISSON_EXACT_MAX = 100;
+const Z_99 = 2.576;
+export function poissonInterval(lambda, tail = INTERVAL_TAIL) {
+    if (lambda <= 0) return [0, 0];
+    if (lambda > POISSON_EXACT_MAX) {
+        const half = Z_99 * Math.sqrt(lambda);
+        return [Math.max(0, Math.floor(lambda - half)), Math.ceil(lambda + half)];
+    }
+    let lo = 0;
+    while (poissonCdf(lo, lambda) < tail) lo++;
+    let hi = lo;
+    while (poissonCdf(hi, lambda) < 1 - tail) hi++;
+    return [lo, hi];
+}
+
+function median(xs) {
+    const s = [...xs].sort((a, b) => a - b);
+    return s.length ? (s.length % 2 ? s[(s.length - 1) / 2] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2) : null;
+}
+
+// ---- 1 系列を連続日付の配列 [{ day, value, from }] に (欠けた日は value:null。render-dashboard も使う) ----
+export function dailyValues(joined, spec) {
+    const byDay = joined[spec.path] ?? {};
+    const days = Object.keys(byDay).sort();
+    if (!days.length) return [];
+    const out = [];
+    let prevLevel = null;
+    for (let d = days[0]; d <= days[days.length - 1]; d = addDays(d, 1)) {
+        const hit = byDay[d];
+        let value = null, extra = {};
+        if (hit) {
+            const r = hit.row;
+            if (spec.kind === 'ecpm') {
+                value = r.impressions > 0 ? round((r.estimatedEarnings / r.impressions) * 1000) : null;
+                extra = { impressions: r.impressions ?? 0 };
+            } else if (typeof r[spec.field] === 'number') {
+                value = r[spec.field];
+            }
+        }
+        if (spec.kind === 'level') {
+            // 前日 (データのある日) からの純減を件数とみなす。
+            extra.decrease = value != null && prevLevel != null ? Math.max(0, prevLevel - value) : null;
+            if (value != null) prevLevel = value;
+        }
+        out.push({ day: d, value, from: hit?.from ?? null, ...(hit?.provisional ? { provisional: true } : {}), ...extra });
+    }
+    return out;
+}
+
+function windowSum(vals, end, n, field = 'value') {
+    const slice = vals.slice(Math.max(0, end - n + 1), end + 1);
+    if (slice.length < n || slice.some((v) => v[field] == null)) return null;
+    return round(slice.reduce((s, v) => s + v[field], 0));
+}
+
+// ---- 1 系列の解析: ローリング合計・WoW・異常 ----
+export function analyzeSeries(joined, spec, { recentDays = 28 } = {}) {
+    const vals = dailyValues(joined, spec);
+    if (!vals.length) return { ...spec, available: false };
+    const countField = spec.kind === 'level' ? 'decrease' : 'value';
+    const summable = spec.kind !== 'ecpm';
+    const last = vals.length - 1;
+
+    const rolling = summable
+        ? vals.map((v, i) => ({ day: v.day, value: v.value, sum7: windowSum(vals, i, 7), sum28: windowSum(vals, i, 28) }))
+        : vals.map((v) => ({ day: v.day, value: v.value }));
+
+    let wow = null;
+    const wowField = spec.kind === 'level' ? 'value' : countField;
+    if (summable && spec.kind !== 'level') {
+        const cur = windowSum(vals, last, 7, wowField), prev = windowSum(vals, last - 7, 7, wowField);
+        if (cur != null && prev != null) {
+            wow = { last7: cur, prev7: prev, abs: round(cur - prev), rel: prev ? round((cur - prev) / prev, 4) : null };
+            if (spec.kind === 'count') {
+                const [lo, hi] = poissonInterval(prev);
+                wow.interval = [lo, hi];
+                wow.significant = cur < lo || cur > hi;
+            }
+        }
+    } else if (spec.kind === 'level') {
+        const cur = vals[last].value, prev = vals[last - 7]?.value;
+        if (cur != null && prev != null) wow = { last: cur, weekAgo: prev, abs: cur - prev };
+    }
+
+    const anomalies = [];
+    const firstRecent = Math.max(0, vals.length - recentDays);
+    for (let i = firstRecent; i < vals.length; i++) {
+        const v = vals[i];
+        const base = vals.slice(Math.max(0, i - BASELINE_DAYS), i);
+        if (spec.kind === 'count' || spec.kind === 'level') {
+            const x = v[countField];
+            const hist = base.map((b) => b[countField]).filter((n) => n != null);
+            if (x == null || hist.length < MIN_BASELINE_DAYS) continue;
+            const lambda = hist.reduce((s, n) => s + n, 0) / hist.length;
+            const [lo, hi] = poissonInterval(lambda);
+            let kind = null;
+            if (x > hi) kind = spec.kind === 'level' ? 'drop' : 'spike';
+            else if (x < lo && spec.kind === 'count') kind = 'drop';
+            if (kind) {
+                anomalies.push({ series: spec.key, day: v.day, kind, value: spec.kind === 'level' ? -x : x,
+                    expected: round(spec.kind === 'level' ? -lambda : lambda), interval: spec.kind === 'level' ? [-hi, -lo] : [lo, hi], from: v.from });
+            }
+        } else if (spec.kind === 'ecpm') {
+            const hist = base.filter((b) => b.value != null && b.impressions >= MIN_IMPRESSIONS).map((b) => b.value);
+            if (v.value == null || v.impressions < MIN_IMPRESSIONS || hist.length < MIN_BASELINE_DAYS) continue;
+            const med = median(hist);
+            if (med > 0 && v.value < med * ECPM_COLLAPSE_RATIO) {
+                anomalies.push({ series: spec.key, day: v.day, kind: 'collapse', value: v.value, expected: med,
+                    threshold: round(med * ECPM_COLLAPSE_RATIO), impressions: v.impressions, from: v.from });
+            }
+        }
+    }
+    return {
+        key: spec.key, path: spec.path, field: spec.field ?? null, kind: spec.kind, available: true,
+        range: { from: vals[0].day, to: vals[last].day, daysWithData: vals.filter((v) => v.value != null).length },
+        wow, rolling, anomalies,
+    };
+}
+
+// ---- 履歴全体 → { snapshots, series, anomalies } ----
+export function analyzeTrends({ dir = SNAPSHOT_DIR, recentDays = 28, includeProvisional = false } = {}) {
+    const refs = listSnapshots(dir);
+    const snapshots = refs.map((r) => loadSnapshot(r.path));
+    const joined = joinDaySeries(snapshots, { includeProvisional });
+    const series = {};
+    const anomalies = [];
+    for (const spec of SERIES) {
+        // derived など古いスナップショットに無い系列もあるので、存在する系列だけ。
+        if (!joined[spec.path] && !getPath(snapshots[snapshots.length - 1] ?? {}, spec.path)) continue;
+        const a = analyzeSeries(joined, spec, { recentDays });
+        series[spec.key] = a;
+        anomalies.push(...(a.anomalies ?? []));
+    }
+    anomalies.sort((x, y) => y.day.localeCompare(x.day) || x.series.localeCompare(y.series));
+    return {
+        snapshots: { count: refs.length, first: refs[0]?.stamp ?? null, last: refs[refs.length - 1]?.stamp ?? null },
+        recentDays,
+        provisional: { included: includeProvisional, unresolvedDays: unresolvedProvisionalDays(snapshots) },
+        series,
+        anomalies,
+    };
+}
+
+// ---- CLI ----
+function parseArgs(argv) {
+    const args = { recentDays: 28, dir: SNAPSHOT_DIR, includeProvisional: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--days') args.recentDays = Number(argv[++i]) || args.recentDays;
+        else if (argv[i] === '--dir') args.dir = resolve(argv[++i]);
+        else if (argv[i] === '--include-provisional') args.includeProvisional = true;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const t = analyzeTrends(args);
+    const lines = [`傾向: スナップショット ${t.snapshots.count} 本 (${t.snapshots.first ?? '-'} 〜 ${t.snapshots.last ?? '-'})`];
+    const pending = t.provisional.unresolvedDays;
+    if (pending.length) {
+        lines.push(`  未確定日 ${pending.length} 日 (${pending[0]}〜${pending[pending.length - 1]}) の App Store 系列を${t.provisional.included ? '含めている (--include-provisional)' : '除外 (reconcile.mjs で取り直すと戻る)'}`);
+    }
+    for (const s of Object.values(t.series)) {
+        if (!s.available) continue;
+        const w = s.wow;
+        const wow = !w ? 'WoW —'
+            : s.kind === 'level' ? `1 週前比 ${w.abs >= 0 ? '+' : ''}${w.abs} (${w.weekAgo}→${w.last})`
+            : `WoW ${w.prev7}→${w.last7}${w.rel != null ? ` (${w.rel >= 0 ? '+' : ''}${round(w.rel * 100, 1)}%)` : ''}${w.significant ? ' *有意*' : ''}`;
+        lines.push(`  ${s.key}: ${s.range.from}〜${s.range.to} (${s.range.daysWithData} 日) · ${wow}`);
+    }
+    lines.push(t.anomalies.length ? `異常 (直近 ${t.recentDays} 日): ${t.anomalies.length} 件` : `異常 (直近 ${t.recentDays} 日): なし`);
+    for (const a of t.anomalies) {
+        lines.push(`  ${a.day} ${a.series} ${a.kind}: ${a.value} (期待 ${a.expected}${a.interval ? `, 区間 ${a.interval.join('〜')}` : `, 閾値 ${a.threshold}`})`);
+    }
+    process.stderr.write(lines.join('\n') + '\n');
+    process.stdout.write(JSON.stringify(t, null, 2) + '\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}